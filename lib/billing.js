@@ -0,0 +1,169 @@
+/**
+ * Monthly and billing-period totals
+ *
+ * Interval `cost` is the electricity charge only; a bill adds delivery,
+ * regulatory charges and taxes. Totalling usage and cost per calendar month
+ * and per billing period, and comparing each period with what the utility
+ * billed (the feed's UsageSummary entries), shows the rest of the bill.
+ *
+ * Billing periods come from UsageSummary billingPeriod elements when the
+ * feed has them, else from a cycle day: each period starts on that day of
+ * the month (the month's last day when it is shorter). Totals are built from
+ * daily readings, so period boundaries are local midnights; a billingPeriod
+ * starting at another time is rounded to the nearest local midnight.
+ */
+
+const DAY = 86400;
+
+/**
+ * Number of days in a month (month 1-12)
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * YYYY-MM-DD of a year, month (1-12, may overflow into the next years) and day
+ */
+function formatDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, 1));
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth() + 1;
+  return `${y}-${String(m).padStart(2, '0')}-${String(Math.min(day, daysInMonth(y, m))).padStart(2, '0')}`;
+}
+
+/**
+ * The local midnight nearest a timestamp
+ */
+function nearestMidnight(zone, timestamp) {
+  return zone.startOfDay(zone.dateKey(timestamp + DAY / 2));
+}
+
+/**
+ * Sum daily readings per local calendar month
+ *
+ * Returns [{ timestamp, month, consumption, cost, days }] with the timestamp
+ * at local midnight on the 1st and `days` the number of days with data.
+ */
+function aggregateToMonthly(dailyReadings, zone) {
+  const months = new Map();
+  for (const reading of dailyReadings) {
+    const month = zone.dateKey(reading.timestamp).slice(0, 7);
+    if (!months.has(month)) {
+      months.set(month, { timestamp: zone.startOfDay(`${month}-01`), month, consumption: 0, cost: 0, days: 0 });
+    }
+    const total = months.get(month);
+    total.consumption += reading.consumption;
+    total.cost += reading.cost;
+    total.days++;
+  }
+  return [...months.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Billing periods of UsageSummary entries (see parseGreenButtonXML), one per start
+ *
+ * Returns [{ start, end, summary }] sorted by start.
+ */
+function periodsFromSummaries(summaries, zone) {
+  const periods = new Map();
+  for (const summary of summaries) {
+    const start = nearestMidnight(zone, summary.timestamp);
+    if (!periods.has(start)) {
+      periods.set(start, { start, end: nearestMidnight(zone, summary.timestamp + summary.duration), summary });
+    }
+  }
+  return [...periods.values()].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Monthly billing periods starting on `cycleDay` (1-31), covering `first` to `last`
+ *
+ * Returns [{ start, end, summary: null }].
+ */
+function periodsFromCycleDay(cycleDay, zone, first, last) {
+  const [year, month] = zone.dateKey(first).split('-').map(Number);
+  const periods = [];
+  // Start a month early: the period holding `first` may have begun the month before
+  for (let offset = -1; ; offset++) {
+    const start = zone.startOfDay(formatDate(year, month + offset, cycleDay));
+    if (start > last) break;
+    const end = zone.startOfDay(formatDate(year, month + offset + 1, cycleDay));
+    if (end > first) periods.push({ start, end, summary: null });
+  }
+  return periods;
+}
+
+/**
+ * Total daily readings per billing period and set them against the bill
+ *
+ * Returns one row per period that has data or a bill: { start, end, days,
+ * coveredDays, consumption, cost, billed, additional, billedConsumption,
+ * difference }. `billed` and `difference` (billed minus interval cost) are
+ * null without a UsageSummary; `additional` lists the bill's other charges
+ * ({ note, amount }).
+ */
+function reconcileBillingPeriods(dailyReadings, periods) {
+  const rows = [];
+  for (const period of periods) {
+    const days = dailyReadings.filter(reading => reading.timestamp >= period.start && reading.timestamp < period.end);
+    const summary = period.summary;
+    if (days.length === 0 && !summary) continue;
+
+    const consumption = days.reduce((sum, reading) => sum + reading.consumption, 0);
+    const cost = days.reduce((sum, reading) => sum + reading.cost, 0);
+    const billed = summary ? summary.billed : null;
+    rows.push({
+      start: period.start,
+      end: period.end,
+      days: Math.round((period.end - period.start) / DAY),
+      coveredDays: days.length,
+      consumption,
+      cost,
+      billed,
+      additional: summary ? summary.additional : [],
+      billedConsumption: summary ? summary.consumption : null,
+      difference: billed === null ? null : billed - cost
+    });
+  }
+  return rows;
+}
+
+/**
+ * Text table of reconciled billing periods (see reconcileBillingPeriods)
+ */
+function formatReconciliation(rows, zone, units) {
+  const amount = (value) => (value === null ? '-' : value.toFixed(2));
+  const billedUsage = rows.some(row => row.billedConsumption !== null);
+  const table = [['Billing period', 'Days', `Usage (${units.consumption})`, ...(billedUsage ? ['Billed usage'] : []), 'Interval cost', 'Billed', 'Difference']];
+  for (const row of rows) {
+    table.push([
+      `${zone.dateKey(row.start)} to ${zone.dateKey(row.end - 1)}`,
+      `${row.coveredDays}/${row.days}`,
+      row.consumption.toFixed(2),
+      ...(billedUsage ? [amount(row.billedConsumption)] : []),
+      amount(row.cost),
+      amount(row.billed),
+      amount(row.difference)
+    ]);
+  }
+
+  const widths = table[0].map((_, column) => Math.max(...table.map(cells => cells[column].length)));
+  const lines = [];
+  table.forEach((cells, index) => {
+    lines.push(cells.map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join('  '));
+    const row = rows[index - 1];
+    if (row && row.additional.length > 0) {
+      lines.push(`    ${row.additional.map(charge => `${charge.note}: ${charge.amount.toFixed(2)}`).join(', ')} (${units.cost})`);
+    }
+  });
+  return lines;
+}
+
+module.exports = {
+  aggregateToMonthly,
+  periodsFromSummaries,
+  periodsFromCycleDay,
+  reconcileBillingPeriods,
+  formatReconciliation
+};
@@ -0,0 +1,208 @@
+/**
+ * RetailCustomer feeds
+ *
+ * Hydro One's newer downloads come with a second Atom feed in the ESPI
+ * customer namespace (cust:Customer, cust:CustomerAccount,
+ * cust:ServiceLocation, cust:Meter...) that has no usage of its own but
+ * says whose meter a usage export belongs to. This module reads it into
+ * one record per meter with its account, service location and address.
+ *
+ * Names and addresses are personal information: they are masked unless the
+ * caller explicitly asks for them (showPersonal).
+ */
+
+const { getLinks } = require('./feed-stream');
+
+/**
+ * Text of a path of child elements (xml2js shape), or null
+ */
+function textAt(element, ...names) {
+  let node = element;
+  for (const name of names) {
+    node = node && typeof node === 'object' && node[name] ? node[name][0] : null;
+  }
+  if (node && typeof node === 'object') node = node._;
+  return typeof node === 'string' && node.trim() !== '' ? node.trim() : null;
+}
+
+/**
+ * Last path segment of an href (the resource id)
+ */
+function lastSegment(href) {
+  return href.split('/').filter(Boolean).pop();
+}
+
+/**
+ * Read a cust streetAddress / mainAddress element
+ */
+function readAddress(address) {
+  if (!address) return null;
+  const street = [
+    textAt(address, 'streetDetail', 'number'),
+    textAt(address, 'streetDetail', 'name') || textAt(address, 'streetDetail', 'addressGeneral')
+  ].filter(Boolean).join(' ');
+
+  return {
+    street: street || null,
+    town: textAt(address, 'townDetail', 'name'),
+    province: textAt(address, 'townDetail', 'stateOrProvince'),
+    postalCode: textAt(address, 'postalCode')
+  };
+}
+
+/**
+ * Read the customer entries of a parsed feed (see parseGreenButtonXML)
+ *
+ * Returns null when the feed has none, else { name, supplier, meters }, one
+ * meter per cust:Meter: { serialNumber, accountId, agreementId, locationId,
+ * address: { street, town, province, postalCode }, usagePoints }.
+ */
+function readCustomerEntries(entries) {
+  let name = null;
+  let supplier = null;
+  const accounts = [];
+  const agreements = [];
+  const locations = [];
+  const meters = [];
+
+  for (const entry of entries) {
+    const content = entry.content && entry.content[0];
+    if (!content || typeof content !== 'object') continue;
+    const self = getLinks(entry, 'self')[0] || '';
+
+    if (content.Customer) {
+      const customer = content.Customer[0];
+      name = textAt(customer, 'customerName') || textAt(customer, 'Organisation', 'organisationName');
+    } else if (content.ServiceSupplier) {
+      supplier = textAt(content.ServiceSupplier[0], 'Organisation', 'organisationName');
+    } else if (content.CustomerAccount) {
+      accounts.push({ href: self, accountId: textAt(content.CustomerAccount[0], 'accountId') || lastSegment(self) });
+    } else if (content.CustomerAgreement) {
+      agreements.push({ href: self, agreementId: textAt(content.CustomerAgreement[0], 'agreementId') || lastSegment(self) });
+    } else if (content.ServiceLocation) {
+      const location = content.ServiceLocation[0];
+      const usagePoints = location.UsagePoints && location.UsagePoints[0].UsagePoint;
+      locations.push({
+        href: self,
+        address: readAddress(location.mainAddress && location.mainAddress[0]),
+        usagePoints: (usagePoints || []).map(href => (typeof href === 'object' ? href._ : href).trim())
+      });
+    } else if (content.Meter) {
+      meters.push({ href: self, serialNumber: textAt(content.Meter[0], 'serialNumber') || lastSegment(self) });
+    }
+  }
+
+  if (!name && accounts.length === 0 && locations.length === 0 && meters.length === 0) return null;
+
+  // Resources nest by href: .../CustomerAccount/<id>/CustomerAgreement/<id>/ServiceLocation/<id>/Meter/<serial>
+  const parentOf = (href, parents) => parents.find(parent => parent.href && href.startsWith(parent.href + '/'));
+
+  return {
+    name,
+    supplier,
+    meters: meters.map(meter => {
+      const location = parentOf(meter.href, locations);
+      const account = parentOf(meter.href, accounts);
+      const agreement = parentOf(meter.href, agreements);
+      return {
+        serialNumber: meter.serialNumber,
+        accountId: account ? account.accountId : null,
+        agreementId: agreement ? agreement.agreementId : null,
+        locationId: location ? lastSegment(location.href) : null,
+        address: location ? location.address : null,
+        usagePoints: location ? location.usagePoints : []
+      };
+    })
+  };
+}
+
+/**
+ * The customer feed's meter for one UsagePoint ({ href, title }), or null
+ *
+ * Usage feeds name their UsagePoint after the meter serial (Hydro One) or
+ * mention it in the entry title.
+ */
+function matchMeter(customer, usagePoint) {
+  return customer.meters.find(meter =>
+    lastSegment(usagePoint.href || '') === meter.serialNumber ||
+    (usagePoint.title || '').includes(meter.serialNumber) ||
+    meter.usagePoints.includes(usagePoint.href)) || null;
+}
+
+/**
+ * Pick the customer feed's meter for a usage feed
+ *
+ * The first of the feed's UsagePoints with a matching meter (see
+ * matchMeter); a customer with a single meter needs no match.
+ */
+function findMeter(customer, usagePoints = []) {
+  for (const usagePoint of usagePoints) {
+    const meter = matchMeter(customer, usagePoint);
+    if (meter) return meter;
+  }
+  return customer.meters.length === 1 ? customer.meters[0] : null;
+}
+
+/**
+ * Mask personal text, keeping the first character of each word: "1025 SWALLOW LANE" -> "1*** S****** L***"
+ */
+function mask(text) {
+  return text.replace(/\S+/g, word => (word.length === 1 ? '*' : word[0] + '*'.repeat(word.length - 1)));
+}
+
+/**
+ * Format an address on one line, masking the street and postal code unless showPersonal
+ */
+function formatAddress(address, showPersonal) {
+  if (!address) return null;
+  const hide = (text) => (text && !showPersonal ? mask(text) : text);
+  const town = [address.town, address.province].filter(Boolean).join(' ');
+  return [hide(address.street), town, hide(address.postalCode)].filter(Boolean).join(', ') || null;
+}
+
+/**
+ * Values a profile can use in its ids and names ({meter}, {account}, {location}, {address})
+ *
+ * The address is only included with showPersonal.
+ */
+function getCustomerLabels(meter, showPersonal) {
+  if (!meter) return {};
+  const labels = {
+    meter: meter.serialNumber,
+    account: meter.accountId,
+    location: meter.locationId
+  };
+  if (showPersonal && meter.address && meter.address.street) labels.address = meter.address.street;
+  return labels;
+}
+
+/**
+ * SQL header / log lines describing the customer and meter
+ */
+function describeCustomer(customer, meter, showPersonal) {
+  const lines = [];
+  if (customer.name) lines.push(`Customer: ${showPersonal ? customer.name : mask(customer.name)}${customer.supplier ? ` (${customer.supplier})` : ''}`);
+  return meter ? [...lines, ...describeMeter(meter, showPersonal)] : lines;
+}
+
+/**
+ * SQL header / log lines describing one meter's account and service location
+ */
+function describeMeter(meter, showPersonal) {
+  const lines = [];
+  if (meter.accountId) lines.push(`Account: ${meter.accountId}`);
+  const address = formatAddress(meter.address, showPersonal);
+  if (meter.locationId || address) lines.push(`Service location: ${[meter.locationId, address].filter(Boolean).join(', ')}`);
+  lines.push(`Meter: ${meter.serialNumber}`);
+  return lines;
+}
+
+module.exports = {
+  readCustomerEntries,
+  matchMeter,
+  findMeter,
+  mask,
+  getCustomerLabels,
+  describeCustomer,
+  describeMeter
+};
@@ -0,0 +1,82 @@
+/**
+ * SQL dialects for the Home Assistant recorder databases
+ *
+ * Home Assistant's recorder runs on MariaDB/MySQL, SQLite (the default) or
+ * PostgreSQL. The statistics schema is the same on all three, but the
+ * "skip duplicates" insert syntax, string quoting, boolean columns,
+ * temporary tables and transaction statements differ.
+ */
+
+/**
+ * Quote a string literal by doubling single quotes (standard SQL)
+ */
+function quoteStandard(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+const DIALECTS = {
+  mysql: {
+    name: 'mysql',
+    label: 'MariaDB/MySQL',
+    insertIgnore: (table, columns) => `INSERT IGNORE INTO ${table} (${columns.join(', ')})`,
+    ignoreSuffix: '',
+    ignoreLabel: 'INSERT IGNORE',
+    // MySQL also treats backslash as an escape character inside string literals
+    quote: (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "''")}'`,
+    bool: (value) => (value ? '1' : '0'),
+    doubleType: 'DOUBLE',
+    round: (expr, digits) => `ROUND(${expr}, ${digits})`,
+    createTempTable: 'CREATE TEMPORARY TABLE',
+    dropTempTable: 'DROP TEMPORARY TABLE',
+    begin: 'START TRANSACTION;',
+    commit: 'COMMIT;'
+  },
+  sqlite: {
+    name: 'sqlite',
+    label: 'SQLite',
+    insertIgnore: (table, columns) => `INSERT OR IGNORE INTO ${table} (${columns.join(', ')})`,
+    ignoreSuffix: '',
+    ignoreLabel: 'INSERT OR IGNORE',
+    quote: quoteStandard,
+    bool: (value) => (value ? '1' : '0'),
+    doubleType: 'REAL',
+    round: (expr, digits) => `ROUND(${expr}, ${digits})`,
+    createTempTable: 'CREATE TEMP TABLE',
+    dropTempTable: 'DROP TABLE',
+    begin: 'BEGIN TRANSACTION;',
+    commit: 'COMMIT;'
+  },
+  postgres: {
+    name: 'postgres',
+    label: 'PostgreSQL',
+    insertIgnore: (table, columns) => `INSERT INTO ${table} (${columns.join(', ')})`,
+    ignoreSuffix: '\nON CONFLICT DO NOTHING',
+    ignoreLabel: 'ON CONFLICT DO NOTHING',
+    quote: quoteStandard,
+    // has_mean/has_sum are BOOLEAN columns on PostgreSQL
+    bool: (value) => (value ? 'TRUE' : 'FALSE'),
+    doubleType: 'DOUBLE PRECISION',
+    // ROUND(x, n) is only defined for numeric on PostgreSQL
+    round: (expr, digits) => `ROUND((${expr})::numeric, ${digits})`,
+    createTempTable: 'CREATE TEMPORARY TABLE',
+    dropTempTable: 'DROP TABLE',
+    begin: 'BEGIN;',
+    commit: 'COMMIT;'
+  }
+};
+
+/**
+ * Look up a dialect by name (mysql, sqlite or postgres)
+ */
+function getDialect(name) {
+  const dialect = DIALECTS[name];
+  if (!dialect) {
+    throw new Error(`Unknown SQL dialect: ${name} (expected ${Object.keys(DIALECTS).join(', ')})`);
+  }
+  return dialect;
+}
+
+module.exports = {
+  DIALECTS,
+  getDialect
+};
@@ -0,0 +1,140 @@
+/**
+ * Streaming reader for Green Button (Atom) feeds
+ *
+ * Reads the XML with a SAX parser instead of loading the whole document and
+ * its object tree, and hands over one <entry> at a time. Each entry has the
+ * same shape xml2js produced (namespace prefixes stripped, every child in an
+ * array, attributes under `$`, mixed text under `_`), so the code that walks
+ * entries works unchanged. IntervalReadings can be handed over one at a time
+ * as well, so an IntervalBlock holding years of readings is never built whole.
+ *
+ * Requires the `sax` package (npm install sax).
+ */
+
+const fs = require('fs');
+const sax = require('sax');
+
+/**
+ * Remove a namespace prefix (espi:IntervalBlock -> IntervalBlock), keeping xmlns attributes
+ */
+function stripPrefix(name) {
+  return name.startsWith('xmlns') ? name : name.replace(/^.*:/, '');
+}
+
+/**
+ * Turn a finished element into its xml2js value
+ *
+ * Leaves become their text, elements with children or attributes become
+ * objects; whitespace between child elements is dropped.
+ */
+function toValue(node) {
+  const hasChildren = Object.keys(node.children).length > 0;
+  const hasAttributes = Object.keys(node.attributes).length > 0;
+  const whitespace = /^\s*$/.test(node.text);
+
+  if (!hasChildren && !hasAttributes) return node.text;
+
+  const value = {};
+  if (hasAttributes) value.$ = node.attributes;
+  if (!whitespace) value._ = node.text;
+  Object.assign(value, node.children);
+  return value;
+}
+
+/**
+ * Get the href values of an Atom entry's links with the given rel
+ */
+function getLinks(entry, rel) {
+  return (entry.link || [])
+    .filter(link => link.$ && link.$.rel === rel)
+    .map(link => link.$.href);
+}
+
+/**
+ * Stream a feed file, calling onEntry(entry, index) for every Atom <entry>
+ *
+ * With onReading, each IntervalReading of an IntervalBlock is passed to
+ * onReading(reading, index) as soon as it has been read, with the index of
+ * its entry, and left out of the entry. Resolves to { updated } with the
+ * feed's own <updated> text (or null) once the whole file has been read.
+ */
+function streamFeedEntries(filePath, onEntry, onReading = null) {
+  return new Promise((resolve, reject) => {
+    const parser = sax.createStream(true, { trim: false, normalize: false });
+    const stack = [];
+    let updated = null;
+    let entryCount = 0;
+
+    const hand = (callback, ...values) => {
+      try {
+        callback(...values);
+      } catch (err) {
+        parser.emit('error', err);
+      }
+    };
+
+    parser.on('opentag', (tag) => {
+      const attributes = {};
+      for (const [name, value] of Object.entries(tag.attributes)) {
+        attributes[stripPrefix(name)] = value;
+      }
+      stack.push({ name: stripPrefix(tag.name), attributes, children: {}, text: '' });
+    });
+
+    const addText = (text) => {
+      // Only entries (depth 2 and below) and the feed's <updated> are kept
+      if (stack.length >= 2) stack[stack.length - 1].text += text;
+    };
+    parser.on('text', addText);
+    parser.on('cdata', addText);
+
+    parser.on('closetag', () => {
+      const node = stack.pop();
+      const depth = stack.length;
+
+      if (depth === 1) {
+        if (node.name === 'entry') {
+          hand(onEntry, toValue(node), entryCount);
+          entryCount++;
+        } else if (node.name === 'updated') {
+          updated = node.text.trim();
+        }
+        return;
+      }
+
+      if (depth >= 2) {
+        const parent = stack[depth - 1];
+        if (onReading && node.name === 'IntervalReading' && parent.name === 'IntervalBlock') {
+          hand(onReading, toValue(node), entryCount);
+          return;
+        }
+        if (!parent.children[node.name]) parent.children[node.name] = [];
+        parent.children[node.name].push(toValue(node));
+      }
+    });
+
+    parser.on('error', (err) => {
+      input.destroy();
+      reject(new Error(`Invalid XML in ${filePath}: ${err.message.split('\n')[0]}`));
+    });
+    parser.on('end', () => resolve({ updated }));
+
+    const input = fs.createReadStream(filePath, { encoding: 'utf-8' });
+    input.on('error', reject);
+    // Drop a UTF-8 byte order mark, which sax rejects before the XML declaration
+    let first = true;
+    input.on('data', (chunk) => {
+      if (first) {
+        first = false;
+        if (chunk.charCodeAt(0) === 0xFEFF) chunk = chunk.slice(1);
+      }
+      parser.write(chunk);
+    });
+    input.on('end', () => parser.end());
+  });
+}
+
+module.exports = {
+  getLinks,
+  streamFeedEntries
+};
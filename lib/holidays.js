@@ -0,0 +1,102 @@
+/**
+ * Ontario statutory holidays
+ *
+ * Time-of-use and Ultra-Low Overnight prices treat these holidays like
+ * weekends. A holiday that falls on a weekend moves to the next weekday
+ * that isn't already one (Christmas on a Saturday: Monday the 27th, Boxing
+ * Day: Tuesday the 28th), as the Ontario Energy Board's price periods do.
+ *
+ * Dates are YYYY-MM-DD strings in local time.
+ */
+
+const cache = new Map();
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ */
+function toKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * The `n`th `weekday` (0 = Sunday) of a month, as a UTC date
+ */
+function nthWeekday(year, month, weekday, n) {
+  const first = new Date(Date.UTC(year, month - 1, 1));
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  return new Date(Date.UTC(year, month - 1, 1 + offset + (n - 1) * 7));
+}
+
+/**
+ * Easter Sunday (Anonymous Gregorian algorithm), as a UTC date
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Victoria Day: the Monday before May 25
+ */
+function victoriaDay(year) {
+  const may24 = new Date(Date.UTC(year, 4, 24));
+  return new Date(Date.UTC(year, 4, 24 - ((may24.getUTCDay() + 6) % 7)));
+}
+
+/**
+ * The observed holiday dates of a year (a Set of YYYY-MM-DD)
+ */
+function ontarioHolidays(year) {
+  if (cache.has(year)) return cache.get(year);
+
+  const goodFriday = easterSunday(year);
+  goodFriday.setUTCDate(goodFriday.getUTCDate() - 2);
+
+  // Fixed-date holidays can fall on a weekend; the others are always weekdays
+  const fixed = [[1, 1], [7, 1], [12, 25], [12, 26]].map(([month, day]) => new Date(Date.UTC(year, month - 1, day)));
+  const moving = [
+    nthWeekday(year, 2, 1, 3),   // Family Day: third Monday of February
+    goodFriday,
+    victoriaDay(year),
+    nthWeekday(year, 8, 1, 1),   // Civic Holiday: first Monday of August
+    nthWeekday(year, 9, 1, 1),   // Labour Day: first Monday of September
+    nthWeekday(year, 10, 1, 2)   // Thanksgiving: second Monday of October
+  ];
+
+  const holidays = new Set(moving.map(toKey));
+  for (const date of fixed) {
+    const observed = new Date(date);
+    while (observed.getUTCDay() === 0 || observed.getUTCDay() === 6 || holidays.has(toKey(observed))) {
+      observed.setUTCDate(observed.getUTCDate() + 1);
+    }
+    holidays.add(toKey(observed));
+  }
+
+  cache.set(year, holidays);
+  return holidays;
+}
+
+/**
+ * Whether a YYYY-MM-DD date is an (observed) Ontario holiday
+ */
+function isOntarioHoliday(date) {
+  return ontarioHolidays(parseInt(date.slice(0, 4))).has(date);
+}
+
+module.exports = {
+  ontarioHolidays,
+  isOntarioHoliday
+};
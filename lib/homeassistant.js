@@ -0,0 +1,212 @@
+/**
+ * Home Assistant WebSocket API client for importing statistics
+ *
+ * Sends an import plan (see buildImportPlan in greenbutton-to-sql.js) to a
+ * running Home Assistant instance with `recorder/import_statistics`, so HA
+ * validates the metadata and writes the rows itself. Needs only a long-lived
+ * access token, no database access.
+ *
+ * Requires the `ws` package (npm install ws).
+ */
+
+const { batches } = require('./spool');
+
+const CHUNK_SIZE = 1000;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 2000;
+const RESPONSE_TIMEOUT_MS = 30000;
+
+/**
+ * Turn a Home Assistant URL into its WebSocket API endpoint
+ *
+ *   http://homeassistant.local:8123      -> ws://homeassistant.local:8123/api/websocket
+ *   https://example.duckdns.org          -> wss://example.duckdns.org/api/websocket
+ *   ws://homeassistant.local:8123/api/websocket is used as is
+ */
+function toWebSocketUrl(url) {
+  const wsUrl = url.replace(/^http(s?):\/\//, 'ws$1://').replace(/\/+$/, '');
+  if (!/^wss?:\/\//.test(wsUrl)) {
+    throw new Error(`Invalid Home Assistant URL: ${url} (expected http(s):// or ws(s)://)`);
+  }
+  return wsUrl.endsWith('/api/websocket') ? wsUrl : `${wsUrl}/api/websocket`;
+}
+
+/**
+ * Open an authenticated WebSocket connection
+ *
+ * Resolves to { send(message) -> Promise<result>, close() } once HA has
+ * answered `auth_ok`; rejects on `auth_invalid` or connection errors.
+ */
+function connect(url, token) {
+  let WebSocket;
+  try {
+    WebSocket = require('ws');
+  } catch (err) {
+    const missing = new Error('The ws package is required for --ha-url (npm install ws)');
+    missing.permanent = true;
+    return Promise.reject(missing);
+  }
+
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(url);
+    const pending = new Map();
+    let nextId = 1;
+    let authenticated = false;
+    let closed = false;
+
+    const failPending = (err) => {
+      for (const { reject: rejectPending, timer } of pending.values()) {
+        clearTimeout(timer);
+        rejectPending(err);
+      }
+      pending.clear();
+    };
+
+    socket.on('message', (data) => {
+      const message = JSON.parse(data.toString());
+
+      if (message.type === 'auth_required') {
+        socket.send(JSON.stringify({ type: 'auth', access_token: token }));
+      } else if (message.type === 'auth_ok') {
+        authenticated = true;
+        resolve({
+          send: (payload) => new Promise((resolveSend, rejectSend) => {
+            if (closed) {
+              rejectSend(new Error('Home Assistant closed the connection'));
+              return;
+            }
+            const id = nextId++;
+            const timer = setTimeout(() => {
+              pending.delete(id);
+              rejectSend(new Error(`No response from Home Assistant after ${RESPONSE_TIMEOUT_MS / 1000}s`));
+            }, RESPONSE_TIMEOUT_MS);
+            pending.set(id, { resolve: resolveSend, reject: rejectSend, timer });
+            socket.send(JSON.stringify({ id, ...payload }));
+          }),
+          close: () => socket.close()
+        });
+      } else if (message.type === 'auth_invalid') {
+        const err = new Error(`Home Assistant rejected the access token: ${message.message || 'auth_invalid'}`);
+        err.permanent = true;
+        reject(err);
+        socket.close();
+      } else if (message.type === 'result' && pending.has(message.id)) {
+        const { resolve: resolvePending, timer } = pending.get(message.id);
+        clearTimeout(timer);
+        pending.delete(message.id);
+        resolvePending(message);
+      }
+    });
+
+    socket.on('error', (err) => {
+      if (!authenticated) reject(err);
+      failPending(err);
+    });
+
+    socket.on('close', () => {
+      closed = true;
+      const err = new Error('Home Assistant closed the connection');
+      if (!authenticated) reject(err);
+      failPending(err);
+    });
+  });
+}
+
+/**
+ * Map a statistics_meta entry of the plan to import_statistics metadata
+ * (mean_type 1 is an arithmetic mean, 0 none; recent HA versions require it)
+ */
+function toMetadata(meta) {
+  return {
+    statistic_id: meta.id,
+    source: meta.source,
+    name: meta.name,
+    unit_of_measurement: meta.unit,
+    has_mean: !!meta.hasMean,
+    mean_type: meta.hasMean ? 1 : 0,
+    has_sum: !meta.hasMean
+  };
+}
+
+/**
+ * Map a plan row to an import_statistics entry (start as an ISO timestamp)
+ */
+function toStatistic(row, mean) {
+  const start = new Date(row.startTs * 1000).toISOString();
+  return mean
+    ? { start, mean: row.mean, min: row.min, max: row.max }
+    : { start, state: row.state, sum: row.sum };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Send every series of an import plan with recorder/import_statistics
+ *
+ * Each series is sent in chunks of CHUNK_SIZE rows. A chunk that fails because
+ * of the connection (drop, timeout) is retried on a fresh connection up to
+ * MAX_ATTEMPTS times; an error reported by Home Assistant itself (invalid
+ * metadata or rows) is not retried. Options: clear (clear_statistics for the
+ * plan's ids first), onProgress(seriesId, sentRows, totalRows).
+ *
+ * Returns per-statistic counts: { id, rows, chunks }.
+ */
+async function importStatistics(url, token, plan, options = {}) {
+  const wsUrl = toWebSocketUrl(url);
+  let connection = null;
+
+  const call = async (payload) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        if (!connection) connection = await connect(wsUrl, token);
+        const result = await connection.send(payload);
+        if (!result.success) {
+          const err = new Error(`Home Assistant rejected ${payload.type}: ${result.error ? result.error.message : 'unknown error'}`);
+          err.permanent = true;
+          throw err;
+        }
+        return result;
+      } catch (err) {
+        if (err.permanent || attempt >= MAX_ATTEMPTS) throw err;
+        console.warn(`Warning: ${err.message}; retrying (${attempt}/${MAX_ATTEMPTS - 1})`);
+        if (connection) connection.close();
+        connection = null;
+        await sleep(RETRY_DELAY_MS * attempt);
+      }
+    }
+  };
+
+  const metas = new Map(plan.metas.map(meta => [meta.id, meta]));
+  const report = [];
+
+  try {
+    if (options.clear) {
+      await call({ type: 'recorder/clear_statistics', statistic_ids: plan.metas.map(meta => meta.id) });
+    }
+
+    for (const series of plan.series) {
+      const metadata = toMetadata(metas.get(series.id));
+      let chunks = 0;
+
+      let sent = 0;
+      for (const rows of batches(series.rows, CHUNK_SIZE)) {
+        const stats = rows.map(row => toStatistic(row, series.mean));
+        await call({ type: 'recorder/import_statistics', metadata, stats });
+        chunks++;
+        sent += stats.length;
+        if (options.onProgress) options.onProgress(series.id, sent, series.rows.length);
+      }
+
+      report.push({ id: series.id, rows: series.rows.length, chunks });
+    }
+  } finally {
+    if (connection) connection.close();
+  }
+
+  return report;
+}
+
+module.exports = {
+  toWebSocketUrl,
+  importStatistics
+};
@@ -0,0 +1,115 @@
+/**
+ * Ledger of processed exports (watch mode)
+ *
+ * Watch mode (watch-greenbutton.js) converts every new file dropped into its
+ * import directory. The ledger, a JSON file next to the output, remembers
+ * each file it has seen so restarts don't redo work and re-downloads are
+ * recognised:
+ *
+ *   file        name within the import directory
+ *   hash        SHA-256 of the file's contents
+ *   status      imported   - its readings are part of the exported statistics
+ *               customer   - a RetailCustomer feed, used to label the import
+ *               duplicate  - the same contents as `duplicateOf`
+ *               covered    - every reading already came from `duplicateOf`
+ *               empty      - no readings
+ *               error      - could not be parsed (`error`); retried when the file changes
+ *   first/last  first and last reading (ISO 8601, UTC)
+ *   rows        readings per series (hourly, daily, returned, returnedDaily, weather)
+ *   added       of those, readings no earlier file had (imported files)
+ *   output      the SQL file or database its import went to
+ *
+ * A file is known by its name and hash together: a file overwritten with new
+ * contents is processed again.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const LEDGER_VERSION = 1;
+
+/**
+ * Read a ledger file, or start an empty ledger when it doesn't exist yet
+ */
+function loadLedger(filePath) {
+  if (!fs.existsSync(filePath)) return { version: LEDGER_VERSION, files: [] };
+
+  let ledger;
+  try {
+    ledger = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Ledger ${filePath} is not valid JSON: ${err.message}`);
+  }
+  if (!ledger || ledger.version !== LEDGER_VERSION || !Array.isArray(ledger.files)) {
+    throw new Error(`Ledger ${filePath} is not a version ${LEDGER_VERSION} ledger`);
+  }
+  return ledger;
+}
+
+/**
+ * Write a ledger file (through a temporary file, so an interrupted write keeps the old one)
+ */
+function saveLedger(filePath, ledger) {
+  const temp = `${filePath}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(ledger, null, 2) + '\n');
+  fs.renameSync(temp, filePath);
+}
+
+/**
+ * SHA-256 of a file's contents (hex)
+ */
+function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  const fd = fs.openSync(filePath, 'r');
+  const chunk = Buffer.alloc(64 * 1024);
+  try {
+    let bytes;
+    while ((bytes = fs.readSync(fd, chunk, 0, chunk.length, null)) > 0) hash.update(chunk.subarray(0, bytes));
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * The ledger entry of a file with these contents: by name and hash, else by hash alone
+ */
+function findEntry(ledger, file, hash) {
+  return ledger.files.find(entry => entry.file === file && entry.hash === hash) ||
+    ledger.files.find(entry => entry.hash === hash && entry.status !== 'error') ||
+    null;
+}
+
+/**
+ * Date range and row counts of parsed data, as recorded in the ledger
+ */
+function describeData(data) {
+  const series = ['readings', 'daily', 'returned', 'returnedDaily', 'weather'];
+  let first = null;
+  let last = null;
+  for (const name of series) {
+    for (const reading of data[name] || []) {
+      first = first === null ? reading.timestamp : Math.min(first, reading.timestamp);
+      last = last === null ? reading.timestamp : Math.max(last, reading.timestamp);
+    }
+  }
+  return {
+    first: first === null ? null : new Date(first * 1000).toISOString(),
+    last: last === null ? null : new Date(last * 1000).toISOString(),
+    rows: {
+      hourly: data.readings.length,
+      daily: data.daily.length,
+      returned: data.returned.length,
+      returnedDaily: data.returnedDaily.length,
+      weather: data.weather.length
+    }
+  };
+}
+
+module.exports = {
+  loadLedger,
+  saveLedger,
+  hashFile,
+  findEntry,
+  describeData
+};
@@ -0,0 +1,195 @@
+/**
+ * Local time for daily statistics
+ *
+ * Daily statistics start at local midnight, so every day needs the UTC
+ * offset in effect where the meter is. Green Button feeds describe that in
+ * a LocalTimeParameters entry (standard offset, DST offset and ESPI DST
+ * rules); an IANA zone name can be used instead.
+ *
+ * Both kinds of zone share one interface:
+ *   name              - description for logs and SQL headers
+ *   offsetAt(ts)      - seconds east of UTC at a UNIX timestamp
+ *   dateKey(ts)       - local calendar date (YYYY-MM-DD) of a timestamp
+ *   startOfDay(date)  - UNIX timestamp of local midnight on a YYYY-MM-DD date
+ *
+ * localTimestamps turns local wall-clock times (CSV downloads) back into UTC.
+ */
+
+/**
+ * Decode an ESPI DstRuleType (32-bit hex string such as 360E2000)
+ *
+ *   bits 0-11   seconds after the hour
+ *   bits 12-16  hour (0-23)
+ *   bits 17-19  day of week (1 = Monday ... 7 = Sunday, 0 = not used)
+ *   bits 20-24  day of month (0 = not used)
+ *   bits 25-27  operator: 0 = on the day of month, 1 = first day of week on or
+ *               after the day of month, 2-6 = first to fifth day of week in
+ *               the month, 7 = last day of week in the month
+ *   bits 28-31  month (1-12)
+ *
+ * Returns null for FFFFFFFF (DST disabled) or a missing rule.
+ */
+function parseDstRule(value) {
+  if (!value) return null;
+  const bits = parseInt(value, 16);
+  if (isNaN(bits) || bits === 0xFFFFFFFF) return null;
+
+  return {
+    seconds: bits & 0xFFF,
+    hour: (bits >>> 12) & 0x1F,
+    dayOfWeek: (bits >>> 17) & 0x7,
+    dayOfMonth: (bits >>> 20) & 0x1F,
+    operator: (bits >>> 25) & 0x7,
+    month: (bits >>> 28) & 0xF
+  };
+}
+
+/**
+ * Day of the month a DST rule falls on in a given year
+ */
+function ruleDay(rule, year) {
+  const daysInMonth = new Date(Date.UTC(year, rule.month, 0)).getUTCDate();
+  // ESPI counts Monday = 1 ... Sunday = 7; getUTCDay has Sunday = 0
+  const weekday = (day) => new Date(Date.UTC(year, rule.month - 1, day)).getUTCDay() || 7;
+
+  if (rule.operator === 0) return rule.dayOfMonth;
+
+  if (rule.operator === 1) {
+    let day = rule.dayOfMonth;
+    while (weekday(day) !== rule.dayOfWeek) day++;
+    return day;
+  }
+
+  if (rule.operator === 7) {
+    let day = daysInMonth;
+    while (weekday(day) !== rule.dayOfWeek) day--;
+    return day;
+  }
+
+  // Operators 2-6: first to fifth occurrence of the day of week
+  let day = 1;
+  while (weekday(day) !== rule.dayOfWeek) day++;
+  return day + 7 * (rule.operator - 2);
+}
+
+/**
+ * UNIX timestamp of a DST rule's transition in a year
+ *
+ * The rule's time is local wall-clock time before the change: standard time
+ * when DST starts, daylight time when it ends.
+ */
+function ruleTransition(rule, year, offsetBefore) {
+  const local = Date.UTC(year, rule.month - 1, ruleDay(rule, year), rule.hour) / 1000 + rule.seconds;
+  return local - offsetBefore;
+}
+
+/**
+ * Local midnight of a YYYY-MM-DD date for a zone's offsetAt
+ */
+function startOfDay(offsetAt, date) {
+  const [year, month, day] = date.split('-').map(Number);
+  const midnight = Date.UTC(year, month - 1, day) / 1000;
+  // The offset at midnight can differ from the offset of the first guess on DST days
+  const guess = midnight - offsetAt(midnight);
+  return midnight - offsetAt(guess);
+}
+
+/**
+ * Build a zone from its offset function
+ */
+function makeZone(name, offsetAt) {
+  return {
+    name,
+    offsetAt,
+    dateKey: (ts) => new Date((ts + offsetAt(ts)) * 1000).toISOString().split('T')[0],
+    startOfDay: (date) => startOfDay(offsetAt, date)
+  };
+}
+
+/**
+ * Format a UTC offset in seconds as UTC±hh:mm
+ */
+function formatOffset(seconds) {
+  const sign = seconds < 0 ? '-' : '+';
+  const minutes = Math.abs(seconds) / 60;
+  return `UTC${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Zone from a feed's LocalTimeParameters ({ tzOffset, dstOffset, dstStartRule, dstEndRule })
+ */
+function fromLocalTimeParameters(params) {
+  const tzOffset = Number(params.tzOffset) || 0;
+  const dstOffset = Number(params.dstOffset) || 0;
+  const start = parseDstRule(params.dstStartRule);
+  const end = parseDstRule(params.dstEndRule);
+  const hasDst = start && end && dstOffset !== 0;
+
+  const name = hasDst
+    ? `${formatOffset(tzOffset)}, DST ${formatOffset(tzOffset + dstOffset)} (LocalTimeParameters ${params.dstStartRule}/${params.dstEndRule})`
+    : `${formatOffset(tzOffset)} (LocalTimeParameters, no DST)`;
+
+  if (!hasDst) return makeZone(name, () => tzOffset);
+
+  return makeZone(name, (ts) => {
+    const year = new Date((ts + tzOffset) * 1000).getUTCFullYear();
+    const dstStart = ruleTransition(start, year, tzOffset);
+    const dstEnd = ruleTransition(end, year, tzOffset + dstOffset);
+    // Southern hemisphere rules end DST earlier in the year than they start it
+    const inDst = dstStart < dstEnd
+      ? ts >= dstStart && ts < dstEnd
+      : ts >= dstStart || ts < dstEnd;
+    return tzOffset + (inDst ? dstOffset : 0);
+  });
+}
+
+/**
+ * Zone from an IANA time zone name such as America/Toronto
+ */
+function fromIANA(timeZone) {
+  let format;
+  try {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+  } catch (err) {
+    throw new Error(`Unknown time zone: ${timeZone}`);
+  }
+
+  return makeZone(timeZone, (ts) => {
+    const parts = {};
+    for (const part of format.formatToParts(new Date(ts * 1000))) {
+      parts[part.type] = Number(part.value);
+    }
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) / 1000;
+    return local - ts;
+  });
+}
+
+/**
+ * UNIX timestamps a local wall-clock time (YYYY-MM-DD date, seconds after
+ * midnight) stands for in a zone
+ *
+ * Usually one; none in the hour skipped when DST starts, and two (earlier
+ * first) in the hour repeated when it ends.
+ */
+function localTimestamps(zone, date, seconds) {
+  const [year, month, day] = date.split('-').map(Number);
+  const wall = Date.UTC(year, month - 1, day) / 1000 + seconds;
+  // A day either side covers the offsets before and after any transition
+  const offsets = new Set([zone.offsetAt(wall - 86400), zone.offsetAt(wall + 86400)]);
+  return [...offsets]
+    .map(offset => wall - offset)
+    .filter(ts => zone.offsetAt(ts) === wall - ts)
+    .sort((a, b) => a - b);
+}
+
+module.exports = {
+  parseDstRule,
+  localTimestamps,
+  fromLocalTimeParameters,
+  fromIANA
+};
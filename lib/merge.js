@@ -0,0 +1,262 @@
+/**
+ * Merging several parsed Green Button exports
+ *
+ * Overlapping downloads cover many of the same hours. For every hour (and
+ * daily interval, temperature hour and billing period) the merge keeps the readings of the
+ * highest-precedence source that has it, records which source that was, and
+ * reports hours where sources disagree on value, cost or TOU tier.
+ *
+ * Exports covering several meters are merged per UsagePoint: two meters'
+ * readings for the same hour are different hours (see lib/meters.js).
+ */
+
+const { dataUsagePointIds, usagePointOf } = require('./meters');
+const { createSpool } = require('./spool');
+
+// Values closer than this are treated as equal (ESPI values are integers
+// scaled by powers of ten, so real disagreements are far larger)
+const TOLERANCE = 1e-6;
+
+/**
+ * Order sources by precedence, highest first
+ *
+ *   updated - newest feed <updated> time first (default); sources without
+ *             one go last; ties keep the given order
+ *   order   - the order the sources were given in
+ */
+function sortByPrecedence(sources, precedence = 'updated') {
+  if (precedence === 'order') return [...sources];
+  if (precedence !== 'updated') {
+    throw new Error(`Unknown precedence: ${precedence} (expected updated or order)`);
+  }
+
+  const time = (source) => (source.data.updated ? source.data.updated.getTime() : -Infinity);
+  return sources
+    .map((source, index) => ({ source, index }))
+    .sort((a, b) => (time(b.source) - time(a.source)) || (a.index - b.index))
+    .map(entry => entry.source);
+}
+
+/**
+ * Group readings by timestamp, or another key (resampled hours can hold one reading per tier)
+ */
+function groupByTimestamp(readings, keyOf = reading => reading.timestamp) {
+  const groups = new Map();
+  for (const reading of readings) {
+    const key = keyOf(reading);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(reading);
+  }
+  return groups;
+}
+
+/**
+ * Walk lists sorted by time side by side: yields [timestamp, groups] for
+ * every timestamp, with groups[i] the readings lists[i] has for it
+ */
+function* alignByTimestamp(lists) {
+  const heads = lists.map(list => {
+    const iterator = list[Symbol.iterator]();
+    return { iterator, next: iterator.next() };
+  });
+
+  try {
+    for (;;) {
+      let timestamp = Infinity;
+      for (const head of heads) {
+        if (!head.next.done) timestamp = Math.min(timestamp, head.next.value.timestamp);
+      }
+      if (timestamp === Infinity) return;
+
+      yield [timestamp, heads.map(head => {
+        const readings = [];
+        while (!head.next.done && head.next.value.timestamp === timestamp) {
+          readings.push(head.next.value);
+          head.next = head.iterator.next();
+        }
+        return readings;
+      })];
+    }
+  } finally {
+    for (const head of heads) {
+      if (!head.next.done && head.iterator.return) head.iterator.return();
+    }
+  }
+}
+
+/**
+ * Summarise one source's readings for a timestamp for comparison
+ */
+function describeHour(readings) {
+  return {
+    consumption: readings.reduce((sum, r) => sum + r.consumption, 0),
+    cost: readings.reduce((sum, r) => sum + r.cost, 0),
+    tou: [...new Set(readings.map(r => r.touName))].sort().join('+')
+  };
+}
+
+/**
+ * Which fields two sources' readings for one timestamp disagree on
+ */
+function findDifferences(kept, other) {
+  const fields = [];
+  if (Math.abs(kept.consumption - other.consumption) > TOLERANCE) fields.push('value');
+  if (Math.abs(kept.cost - other.cost) > TOLERANCE) fields.push('cost');
+  if (kept.tou !== other.tou) fields.push('tou');
+  return fields;
+}
+
+/**
+ * Merge one series (readings, daily, returned, weather or raw intervals) across sources in precedence order
+ *
+ * Each source's series is in time order. Returns the merged readings and
+ * per-timestamp provenance ({ timestamp, source }), spooled (see
+ * lib/spool.js), and, when `compare` is set, conflicts between sources
+ * (tagged with `label`, and the UsagePoint when known). Readings with the
+ * same `keyOf` (default: timestamp) cover the same time.
+ */
+function mergeSeries(sources, field, label, compare, keyOf) {
+  const merged = createSpool();
+  const provenance = createSpool();
+  const conflicts = [];
+
+  for (const [timestamp, groups] of alignByTimestamp(sources.map(source => source.data[field] || []))) {
+    const winners = new Map();
+    groups.forEach((sourceReadings, index) => {
+      const source = sources[index];
+      for (const [key, readings] of groupByTimestamp(sourceReadings, keyOf)) {
+        const winner = winners.get(key);
+        if (!winner) {
+          winners.set(key, { source, readings });
+          continue;
+        }
+        if (!compare) continue;
+
+        const kept = describeHour(winner.readings);
+        const other = describeHour(readings);
+        const fields = findDifferences(kept, other);
+        if (fields.length > 0) {
+          const conflict = { series: label, timestamp, fields, kept: { source: winner.source.name, ...kept }, other: { source: source.name, ...other } };
+          if (readings[0].usagePoint) conflict.usagePoint = readings[0].usagePoint;
+          conflicts.push(conflict);
+        }
+      }
+    });
+
+    for (const winner of winners.values()) {
+      for (const reading of winner.readings) merged.push(reading);
+      provenance.push({ timestamp, source: winner.source.name });
+    }
+  }
+
+  return {
+    readings: merged.finish(),
+    provenance: provenance.finish(),
+    conflicts
+  };
+}
+
+/**
+ * Merge parsed sources ({ name, data } with data from parseGreenButtonXML)
+ *
+ * Returns { data, sources, provenance, conflicts }: `data` has the same shape
+ * as a single parsed file, `sources` is the precedence order used,
+ * `provenance` maps each series to per-timestamp sources, and `conflicts`
+ * lists every hourly or daily timestamp (delivered or returned energy) where
+ * a lower-precedence source disagreed with the kept one.
+ */
+function mergeSources(sources, options = {}) {
+  const ordered = sortByPrecedence(sources, options.precedence);
+  const meterOf = usagePointOf(dataUsagePointIds(...ordered.map(source => source.data)));
+  const byTime = reading => `${meterOf(reading)}:${reading.timestamp}`;
+  const readings = mergeSeries(ordered, 'readings', 'hourly', true, byTime);
+  const daily = mergeSeries(ordered, 'daily', 'daily', true, byTime);
+  const returned = mergeSeries(ordered, 'returned', 'return to grid', true, byTime);
+  const returnedDaily = mergeSeries(ordered, 'returnedDaily', 'daily return to grid', true, byTime);
+  const weather = mergeSeries(ordered, 'weather', 'temperature', false, byTime);
+  // Bills are keyed by the start of their billing period
+  const usageSummaries = mergeSeries(ordered, 'usageSummaries', 'usage summaries', false, byTime);
+  // Raw intervals of different lengths can start at the same time
+  const intervals = mergeSeries(ordered, 'intervals', 'intervals', false, interval => `${interval.duration}:${byTime(interval)}`);
+  const withLocalTime = ordered.find(source => source.data.localTimeParameters);
+  const usagePoints = new Map();
+  for (const source of ordered) {
+    for (const point of source.data.usagePoints || []) {
+      if (!usagePoints.has(point.href)) usagePoints.set(point.href, point);
+    }
+  }
+
+  return {
+    data: {
+      readings: readings.readings,
+      daily: Array.from(daily.readings),
+      returned: returned.readings,
+      returnedDaily: Array.from(returnedDaily.readings),
+      weather: weather.readings,
+      intervals: intervals.readings,
+      usageSummaries: Array.from(usageSummaries.readings),
+      localTimeParameters: withLocalTime ? withLocalTime.data.localTimeParameters : null,
+      usagePoints: [...usagePoints.values()]
+    },
+    sources: ordered,
+    provenance: {
+      readings: readings.provenance,
+      daily: daily.provenance,
+      returned: returned.provenance,
+      returnedDaily: returnedDaily.provenance,
+      weather: weather.provenance
+    },
+    conflicts: [...readings.conflicts, ...daily.conflicts, ...returned.conflicts, ...returnedDaily.conflicts]
+      .sort((a, b) => a.timestamp - b.timestamp)
+  };
+}
+
+/**
+ * What one parsed source adds to others (see mergeSources)
+ *
+ * Returns { added, conflicts }: `added` counts the timestamps per series
+ * (readings, daily, returned, returnedDaily, weather) that none of the other
+ * sources has, and `conflicts` the hours where they disagree with it. A
+ * source that adds nothing and agrees everywhere, such as a re-downloaded
+ * export, brings no new data.
+ */
+function compareWithSources(sources, source) {
+  const merge = mergeSources([...sources, source], { precedence: 'order' });
+  const added = {};
+  for (const [series, provenance] of Object.entries(merge.provenance)) {
+    added[series] = 0;
+    for (const entry of provenance) {
+      if (entry.source === source.name) added[series]++;
+    }
+  }
+  return {
+    added,
+    conflicts: merge.conflicts.filter(conflict => conflict.other.source === source.name)
+  };
+}
+
+/**
+ * Collapse per-timestamp provenance into runs of consecutive entries from one source
+ *
+ * Returns [{ source, first, last, count }].
+ */
+function summarizeProvenance(provenance) {
+  const runs = [];
+  for (const entry of provenance) {
+    const run = runs[runs.length - 1];
+    if (run && run.source === entry.source) {
+      run.last = entry.timestamp;
+      run.count++;
+    } else {
+      runs.push({ source: entry.source, first: entry.timestamp, last: entry.timestamp, count: 1 });
+    }
+  }
+  return runs;
+}
+
+module.exports = {
+  sortByPrecedence,
+  mergeSources,
+  compareWithSources,
+  summarizeProvenance
+};
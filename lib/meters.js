@@ -0,0 +1,183 @@
+/**
+ * Multi-meter exports
+ *
+ * One Green Button export can cover several UsagePoints (meters, or a house
+ * and a detached garage). parseGreenButtonXML tags every reading with the id
+ * of the UsagePoint its IntervalBlock belongs to, so the data can be split
+ * into one set per meter, or totalled across them.
+ *
+ * Readings without a UsagePoint (feeds without the links, other formats)
+ * belong to the only UsagePoint when there is just one.
+ */
+
+const { createSpool, toSpool } = require('./spool');
+
+const SERIES = ['readings', 'daily', 'returned', 'returnedDaily', 'weather', 'intervals', 'usageSummaries'];
+// Series of hourly or shorter readings, which are spooled (see lib/spool.js)
+const SPOOLED = ['readings', 'returned', 'weather', 'intervals'];
+
+/**
+ * The distinct UsagePoint ids in any number of reading lists, sorted
+ */
+function usagePointIds(...lists) {
+  const ids = new Set();
+  for (const list of lists) {
+    for (const item of list || []) {
+      if (item.usagePoint) ids.add(item.usagePoint);
+    }
+  }
+  return [...ids].sort();
+}
+
+/**
+ * The UsagePoint ids of parsed sources' data (see parseGreenButtonXML)
+ */
+function dataUsagePointIds(...datas) {
+  return usagePointIds(...datas.flatMap(data => SERIES.map(field => data[field])));
+}
+
+/**
+ * A function giving each reading's UsagePoint, given all the ids present
+ *
+ * Readings without one get the only id, or null when there are several.
+ */
+function usagePointOf(ids) {
+  const only = ids.length === 1 ? ids[0] : null;
+  return (item) => item.usagePoint || only;
+}
+
+/**
+ * Split parsed data into one data set per UsagePoint
+ *
+ * Returns [{ usagePoint, data }] with each data shaped like the input; data
+ * from a single UsagePoint (or none) comes back as one entry with the input
+ * itself. Readings that can't be placed form a set with usagePoint null.
+ */
+function splitByUsagePoint(data) {
+  const ids = dataUsagePointIds(data);
+  if (ids.length <= 1) return [{ usagePoint: ids[0] || null, data }];
+
+  const meterOf = usagePointOf(ids);
+  const groups = new Map();
+  for (const field of SERIES) {
+    for (const item of data[field] || []) {
+      const id = meterOf(item);
+      if (!groups.has(id)) {
+        groups.set(id, Object.fromEntries(SERIES.map(name => [name, SPOOLED.includes(name) ? createSpool() : []])));
+      }
+      groups.get(id)[field].push(item);
+    }
+  }
+
+  const finish = (series) => Object.fromEntries(SERIES.map(name =>
+    [name, SPOOLED.includes(name) ? series[name].finish() : series[name]]));
+  return [...groups]
+    .sort(([a], [b]) => (a === null) - (b === null) || String(a).localeCompare(String(b)))
+    .map(([usagePoint, series]) => ({ usagePoint, data: { ...data, ...finish(series) } }));
+}
+
+/**
+ * Group readings (in time order) by timestamp: yields the readings of each timestamp
+ */
+function* groupByTimestamp(readings) {
+  let group = [];
+  for (const reading of readings) {
+    if (group.length > 0 && group[0].timestamp !== reading.timestamp) {
+      yield group;
+      group = [];
+    }
+    group.push(reading);
+  }
+  if (group.length > 0) yield group;
+}
+
+/**
+ * Total usage readings (in time order) with the same timestamp and tier across UsagePoints
+ */
+function* sumReadings(readings) {
+  for (const group of groupByTimestamp(readings)) {
+    const totals = new Map();
+    for (const reading of group) {
+      const total = totals.get(reading.touName);
+      if (!total) {
+        totals.set(reading.touName, { ...reading, usagePoint: null });
+        continue;
+      }
+      total.consumption += reading.consumption;
+      total.cost += reading.cost;
+      if (reading.incomplete) total.incomplete = true;
+    }
+    yield* totals.values();
+  }
+}
+
+/**
+ * Combine temperatures (in time order) with the same timestamp (the mean of the means, overall min and max)
+ */
+function* combineWeather(weather) {
+  for (const readings of groupByTimestamp(weather)) {
+    yield {
+      ...readings[0],
+      usagePoint: null,
+      mean: readings.reduce((sum, r) => sum + r.mean, 0) / readings.length,
+      min: readings.reduce((min, r) => Math.min(min, r.min), Infinity),
+      max: readings.reduce((max, r) => Math.max(max, r.max), -Infinity)
+    };
+  }
+}
+
+/**
+ * Total UsageSummary bills for the same billing period across UsagePoints
+ *
+ * Amounts missing from any meter's summary are missing from the total;
+ * other charges are totalled per note.
+ */
+function sumSummaries(summaries) {
+  const periods = new Map();
+  const add = (a, b) => (a === null || b === null ? null : a + b);
+  for (const summary of summaries) {
+    const key = `${summary.timestamp}:${summary.duration}`;
+    const total = periods.get(key);
+    if (!total) {
+      periods.set(key, { ...summary, additional: summary.additional.map(charge => ({ ...charge })), usagePoint: null });
+      continue;
+    }
+    total.billed = add(total.billed, summary.billed);
+    total.consumption = add(total.consumption, summary.consumption);
+    for (const charge of summary.additional) {
+      const same = total.additional.find(other => other.note === charge.note);
+      if (same) same.amount += charge.amount;
+      else total.additional.push({ ...charge });
+    }
+  }
+  return [...periods.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Total parsed data across all its UsagePoints
+ *
+ * Hourly and daily readings (delivered and returned) are summed per
+ * timestamp and tier; temperatures from several UsagePoints are averaged and
+ * bills for the same billing period added up. Raw `intervals` are kept per
+ * meter (validation runs per UsagePoint).
+ */
+function combineUsagePoints(data) {
+  return {
+    ...data,
+    readings: toSpool(sumReadings(data.readings)),
+    daily: [...sumReadings(data.daily)],
+    returned: toSpool(sumReadings(data.returned || [])),
+    returnedDaily: [...sumReadings(data.returnedDaily || [])],
+    weather: toSpool(combineWeather(data.weather)),
+    usageSummaries: sumSummaries(data.usageSummaries || [])
+  };
+}
+
+module.exports = {
+  usagePointIds,
+  dataUsagePointIds,
+  usagePointOf,
+  splitByUsagePoint,
+  groupByTimestamp,
+  combineUsagePoints
+};
@@ -0,0 +1,234 @@
+/**
+ * Utility profiles
+ *
+ * A profile names the statistics one utility's data is imported as: the
+ * statistic id prefix (also the statistics_meta source, as Home Assistant
+ * expects for external statistics), display names, how reading `tou` codes
+ * map to tiers, the TOU schedule for readings without a tier (see
+ * lib/tou-schedule.js), and which statistics to generate. Using a different prefix
+ * per utility keeps two utilities' imports in one Home Assistant apart.
+ *
+ * Built-in profiles live in profiles/*.json; a custom profile is a JSON file
+ * with the same fields. Fields it leaves out come from the profile named in
+ * its `extends` field (default: greenbutton).
+ *
+ * The prefix, source and names can use {meter}, {account}, {location} and
+ * {address} from a RetailCustomer feed (see lib/customer.js), so each meter
+ * gets its own statistics: "prefix": "hydroone_{meter}". Exports covering
+ * several meters always get one set of statistics per meter: a profile
+ * that doesn't use {meter} has it added ("hydroone_{meter}", "HydroOne
+ * {meter}").
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_DIR = path.join(__dirname, '..', 'profiles');
+const DEFAULT_PROFILE = 'hydroone';
+
+// Every statistic a profile can generate: id suffix, display name, and the
+// `statistics` switch (plus `cost` for cost statistics) that enables it
+const STATISTICS = {
+  onPeak: { suffix: 'on_peak', label: 'On-Peak', group: 'hourly' },
+  midPeak: { suffix: 'mid_peak', label: 'Mid-Peak', group: 'hourly' },
+  offPeak: { suffix: 'off_peak', label: 'Off-Peak', group: 'hourly' },
+  onPeakCost: { suffix: 'on_peak_cost', label: 'On-Peak Cost', group: 'hourly', cost: true },
+  midPeakCost: { suffix: 'mid_peak_cost', label: 'Mid-Peak Cost', group: 'hourly', cost: true },
+  offPeakCost: { suffix: 'off_peak_cost', label: 'Off-Peak Cost', group: 'hourly', cost: true },
+  dailyUsage: { suffix: 'daily_usage', label: 'Daily Usage', group: 'daily' },
+  dailyCost: { suffix: 'daily_cost', label: 'Daily Cost', group: 'daily', cost: true },
+  dailyOnPeak: { suffix: 'daily_on_peak', label: 'Daily On-Peak', group: 'dailyTOU' },
+  dailyMidPeak: { suffix: 'daily_mid_peak', label: 'Daily Mid-Peak', group: 'dailyTOU' },
+  dailyOffPeak: { suffix: 'daily_off_peak', label: 'Daily Off-Peak', group: 'dailyTOU' },
+  dailyOnPeakCost: { suffix: 'daily_on_peak_cost', label: 'Daily On-Peak Cost', group: 'dailyTOU', cost: true },
+  dailyMidPeakCost: { suffix: 'daily_mid_peak_cost', label: 'Daily Mid-Peak Cost', group: 'dailyTOU', cost: true },
+  dailyOffPeakCost: { suffix: 'daily_off_peak_cost', label: 'Daily Off-Peak Cost', group: 'dailyTOU', cost: true },
+  returnToGrid: { suffix: 'return_to_grid', label: 'Return to Grid', group: 'returned' },
+  returnToGridCompensation: { suffix: 'return_to_grid_compensation', label: 'Return to Grid Compensation', group: 'returned', cost: true },
+  dailyReturnToGrid: { suffix: 'daily_return_to_grid', label: 'Daily Return to Grid', group: 'returned' },
+  dailyNetUsage: { suffix: 'daily_net_usage', label: 'Daily Net Usage', group: 'returned' },
+  dailyNetCost: { suffix: 'daily_net_cost', label: 'Daily Net Cost', group: 'returned', cost: true },
+  monthlyUsage: { suffix: 'monthly_usage', label: 'Monthly Usage', group: 'monthly' },
+  monthlyCost: { suffix: 'monthly_cost', label: 'Monthly Cost', group: 'monthly', cost: true },
+  billingPeriodUsage: { suffix: 'billing_period_usage', label: 'Billing Period Usage', group: 'billing' },
+  billingPeriodCost: { suffix: 'billing_period_cost', label: 'Billing Period Cost', group: 'billing', cost: true },
+  billedCost: { suffix: 'billed_cost', label: 'Billed Cost', group: 'billing', cost: true },
+  temperature: { suffix: 'temperature', label: 'Outdoor Temperature', group: 'weather' }
+};
+
+const TIERS = ['onPeak', 'midPeak', 'offPeak'];
+
+const PLACEHOLDERS = ['meter', 'account', 'location', 'address'];
+
+/**
+ * Names of the built-in profiles (profiles/*.json)
+ */
+function listBuiltInProfiles() {
+  return fs.readdirSync(PROFILES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'));
+}
+
+/**
+ * Read a profile file, resolving `extends` chains
+ */
+function readProfile(nameOrPath, seen = []) {
+  const isBuiltIn = !nameOrPath.endsWith('.json') && !nameOrPath.includes(path.sep) && !nameOrPath.includes('/');
+  const filePath = isBuiltIn ? path.join(PROFILES_DIR, `${nameOrPath}.json`) : nameOrPath;
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(isBuiltIn
+      ? `Unknown profile: ${nameOrPath} (built-in profiles: ${listBuiltInProfiles().join(', ')})`
+      : `Profile file not found: ${filePath}`);
+  }
+  if (seen.includes(filePath)) {
+    throw new Error(`Profile ${nameOrPath} extends itself`);
+  }
+
+  let profile;
+  try {
+    profile = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Invalid profile ${filePath}: ${err.message}`);
+  }
+
+  // Built-in profiles are complete; custom ones fill gaps from their base
+  const base = profile.extends || (isBuiltIn ? null : 'greenbutton');
+  if (!base) return profile;
+
+  const parent = readProfile(base, [...seen, filePath]);
+  return {
+    ...parent,
+    ...profile,
+    touMapping: { ...parent.touMapping, ...profile.touMapping },
+    statistics: { ...parent.statistics, ...profile.statistics },
+    names: { ...parent.names, ...profile.names }
+  };
+}
+
+/**
+ * Fill a field's {placeholders} from the customer labels
+ *
+ * In ids (asId) the values become lowercase letters, digits and underscores.
+ */
+function fillPlaceholders(text, labels, label, asId) {
+  if (typeof text !== 'string') return text;
+  return text.replace(/\{(\w+)\}/g, (match, key) => {
+    if (!PLACEHOLDERS.includes(key)) {
+      throw new Error(`Profile ${label}: unknown placeholder ${match} (expected ${PLACEHOLDERS.map(p => `{${p}}`).join(', ')})`);
+    }
+    const value = labels[key];
+    if (!value) {
+      throw new Error(`Profile ${label} uses ${match}, but no ${key} is known (it comes from a RetailCustomer feed${key === 'address' ? ', with --show-personal' : ''})`);
+    }
+    return asId ? value.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') : value;
+  });
+}
+
+/**
+ * Check a resolved profile's fields
+ */
+function validateProfile(profile, label) {
+  if (!/^[a-z0-9_]+$/.test(profile.prefix || '')) {
+    throw new Error(`Profile ${label}: prefix must be lowercase letters, digits and underscores (got ${JSON.stringify(profile.prefix)})`);
+  }
+  for (const [code, tier] of Object.entries(profile.touMapping)) {
+    if (!TIERS.includes(tier)) {
+      throw new Error(`Profile ${label}: touMapping ${code} must be one of ${TIERS.join(', ')} (got ${JSON.stringify(tier)})`);
+    }
+  }
+  if (profile.touSchedule !== undefined && profile.touSchedule !== null && typeof profile.touSchedule !== 'string') {
+    throw new Error(`Profile ${label}: touSchedule must be a rate plan name or file, or null (got ${JSON.stringify(profile.touSchedule)})`);
+  }
+  for (const key of Object.keys(profile.names)) {
+    if (!STATISTICS[key]) {
+      throw new Error(`Profile ${label}: unknown statistic in names: ${key}`);
+    }
+  }
+}
+
+/**
+ * Add {meter} to a profile's prefix, source and names where they don't use it
+ */
+function withMeterPlaceholder(profile) {
+  const hasMeter = (text) => typeof text === 'string' && text.includes('{meter}');
+  const names = {};
+  for (const [key, name] of Object.entries(profile.names || {})) {
+    names[key] = hasMeter(name) ? name : `${name} {meter}`;
+  }
+  return {
+    ...profile,
+    prefix: hasMeter(profile.prefix) ? profile.prefix : `${profile.prefix}_{meter}`,
+    source: !profile.source || hasMeter(profile.source) ? profile.source : `${profile.source}_{meter}`,
+    namePrefix: hasMeter(profile.namePrefix) ? profile.namePrefix : `${profile.namePrefix} {meter}`,
+    names
+  };
+}
+
+/**
+ * Load a built-in profile by name or a custom profile from a JSON file
+ *
+ * `labels` fills the profile's placeholders (see getCustomerLabels in
+ * lib/customer.js). With `options.perMeter` (one meter of a multi-meter
+ * export) the ids and names always include labels.meter. Returns the
+ * profile with `source` defaulted to the prefix and `statisticIds`
+ * (statistic key -> id) and `names` filled in for every statistic.
+ */
+function loadProfile(nameOrPath = DEFAULT_PROFILE, labels = {}, options = {}) {
+  const read = options.perMeter ? withMeterPlaceholder(readProfile(nameOrPath)) : readProfile(nameOrPath);
+  const names = {};
+  for (const [key, name] of Object.entries(read.names || {})) {
+    names[key] = fillPlaceholders(name, labels, nameOrPath, false);
+  }
+  const profile = {
+    ...read,
+    prefix: fillPlaceholders(read.prefix, labels, nameOrPath, true),
+    source: fillPlaceholders(read.source, labels, nameOrPath, true),
+    namePrefix: fillPlaceholders(read.namePrefix, labels, nameOrPath, false),
+    names
+  };
+  validateProfile(profile, nameOrPath);
+
+  const statisticIds = {};
+  const statisticNames = {};
+  for (const [key, statistic] of Object.entries(STATISTICS)) {
+    statisticIds[key] = `${profile.prefix}:${statistic.suffix}`;
+    statisticNames[key] = profile.names[key] || `${profile.namePrefix} ${statistic.label}`;
+  }
+
+  return {
+    ...profile,
+    source: profile.source || profile.prefix,
+    statisticIds,
+    names: statisticNames
+  };
+}
+
+/**
+ * Id and display name of a rate plan's cost statistic (see lib/rate-plans.js): <prefix>:cost_<plan id>
+ */
+function getPlanStatistic(profile, plan) {
+  return {
+    id: `${profile.prefix}:cost_${plan.id}`,
+    name: `${profile.namePrefix} Cost (${plan.name})`
+  };
+}
+
+/**
+ * Whether a profile generates a statistic (by key, see STATISTICS)
+ */
+function isStatisticEnabled(profile, key) {
+  const statistic = STATISTICS[key];
+  if (profile.statistics[statistic.group] === false) return false;
+  if (statistic.cost && profile.statistics.cost === false) return false;
+  return true;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  STATISTICS,
+  listBuiltInProfiles,
+  loadProfile,
+  getPlanStatistic,
+  isStatisticEnabled
+};
@@ -0,0 +1,281 @@
+/**
+ * Rate plans
+ *
+ * A rate plan prices hourly consumption, so the cost of an export can be
+ * recomputed (exports without costs) or compared with another plan ("what
+ * would I have paid on Ultra-Low Overnight?"). Two kinds of plan exist:
+ *
+ *   schedule - each local hour falls in a named period (onPeak, ultraLow...)
+ *              by month, weekday/weekend and hour; every period has a price.
+ *              With `readingTiers`, hours whose TOU tier came from the feed
+ *              use that tier instead of the schedule.
+ *   tiered   - a price per block of monthly consumption (the first 600 kWh
+ *              at one price, the rest at another).
+ *
+ * Prices are date-ranged: each `prices` entry applies from its `from` date
+ * (local, YYYY-MM-DD) until the next one. Hours before the first entry are
+ * left unpriced. Built-in plans live in rate-plans/*.json; a custom plan is
+ * a JSON file with the same fields.
+ *
+ * Prices are per statistic unit (kWh) in the plan's currency and cover the
+ * electricity charge only, not delivery or regulatory charges.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isOntarioHoliday } = require('./holidays');
+const { createSpool } = require('./spool');
+
+const PLANS_DIR = path.join(__dirname, '..', 'rate-plans');
+
+const HOLIDAYS = {
+  ontario: isOntarioHoliday,
+  none: () => false
+};
+
+const DAYS = ['all', 'weekdays', 'weekends'];
+
+/**
+ * Names of the built-in plans (rate-plans/*.json)
+ */
+function listBuiltInPlans() {
+  return fs.readdirSync(PLANS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'));
+}
+
+/**
+ * Check a plan's fields, throwing on the first problem
+ */
+function validatePlan(plan, label) {
+  if (!/^[a-z0-9_]+$/.test(plan.id || '')) {
+    throw new Error(`Rate plan ${label}: id must be lowercase letters, digits and underscores (got ${JSON.stringify(plan.id)})`);
+  }
+  if (plan.type !== 'schedule' && plan.type !== 'tiered') {
+    throw new Error(`Rate plan ${label}: type must be schedule or tiered (got ${JSON.stringify(plan.type)})`);
+  }
+  if (!HOLIDAYS[plan.holidays || 'none']) {
+    throw new Error(`Rate plan ${label}: unknown holidays ${JSON.stringify(plan.holidays)} (expected ${Object.keys(HOLIDAYS).join(' or ')})`);
+  }
+  if (!Array.isArray(plan.prices) || plan.prices.length === 0) {
+    throw new Error(`Rate plan ${label}: prices must list at least one entry`);
+  }
+
+  for (const entry of plan.prices) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.from || '')) {
+      throw new Error(`Rate plan ${label}: every prices entry needs a from date (YYYY-MM-DD)`);
+    }
+    if (plan.type === 'tiered') {
+      const tiers = entry.tiers || [];
+      if (tiers.length === 0 || tiers.some(tier => typeof tier.price !== 'number') || tiers[tiers.length - 1].upTo !== undefined) {
+        throw new Error(`Rate plan ${label}: prices from ${entry.from} need tiers with a price each, the last one without upTo`);
+      }
+    }
+  }
+
+  if (plan.type === 'schedule') {
+    const schedule = plan.schedule || {};
+    const periods = new Set([schedule.default, ...(schedule.rules || []).map(rule => rule.period)]);
+    if (!schedule.default) throw new Error(`Rate plan ${label}: schedule needs a default period`);
+    for (const rule of schedule.rules || []) {
+      if (!DAYS.includes(rule.days || 'all')) {
+        throw new Error(`Rate plan ${label}: rule days must be one of ${DAYS.join(', ')} (got ${JSON.stringify(rule.days)})`);
+      }
+      if (!Array.isArray(rule.hours) || rule.hours.length !== 2) {
+        throw new Error(`Rate plan ${label}: every rule needs hours [start, end]`);
+      }
+    }
+    for (const entry of plan.prices) {
+      const missing = [...periods].filter(period => typeof entry[period] !== 'number');
+      if (missing.length > 0) {
+        throw new Error(`Rate plan ${label}: prices from ${entry.from} have no price for ${missing.join(', ')}`);
+      }
+    }
+  }
+}
+
+/**
+ * Load a built-in plan by name or a custom plan from a JSON file
+ *
+ * Returns the plan with its prices sorted by date.
+ */
+function loadRatePlan(nameOrPath) {
+  const isBuiltIn = !nameOrPath.endsWith('.json') && !nameOrPath.includes(path.sep) && !nameOrPath.includes('/');
+  const filePath = isBuiltIn ? path.join(PLANS_DIR, `${nameOrPath}.json`) : nameOrPath;
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(isBuiltIn
+      ? `Unknown rate plan: ${nameOrPath} (built-in plans: ${listBuiltInPlans().join(', ')})`
+      : `Rate plan file not found: ${filePath}`);
+  }
+
+  let plan;
+  try {
+    plan = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Invalid rate plan ${filePath}: ${err.message}`);
+  }
+  validatePlan(plan, nameOrPath);
+
+  return {
+    ...plan,
+    name: plan.name || plan.id,
+    prices: [...plan.prices].sort((a, b) => a.from.localeCompare(b.from))
+  };
+}
+
+/**
+ * Load a comma-separated list of plans (--rate-plans ontario-ulo,ontario-tiered)
+ */
+function loadRatePlans(list) {
+  const plans = list.split(',').map(name => name.trim()).filter(Boolean).map(loadRatePlan);
+  const ids = plans.map(plan => plan.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) throw new Error(`Two rate plans share the id ${duplicate}`);
+  return plans;
+}
+
+/**
+ * Local calendar fields of a timestamp in a zone (see lib/localtime.js)
+ *
+ * Returns { date, month, weekday, hour } with weekday 0 = Sunday.
+ */
+function localHour(zone, timestamp) {
+  const local = new Date((timestamp + zone.offsetAt(timestamp)) * 1000);
+  return {
+    date: local.toISOString().slice(0, 10),
+    month: local.getUTCMonth() + 1,
+    weekday: local.getUTCDay(),
+    hour: local.getUTCHours()
+  };
+}
+
+/**
+ * Whether a rule's [start, end) hours include an hour (end before start wraps past midnight)
+ */
+function inHours([start, end], hour) {
+  return start <= end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+/**
+ * The schedule period of a local hour (see localHour); the first matching rule wins
+ *
+ * `isHoliday` decides which dates count as weekends besides Saturday and Sunday.
+ */
+function classifyHour(schedule, local, isHoliday = HOLIDAYS.none) {
+  const weekend = local.weekday === 0 || local.weekday === 6 || isHoliday(local.date);
+  const rule = (schedule.rules || []).find(candidate =>
+    (!candidate.months || candidate.months.includes(local.month)) &&
+    ((candidate.days || 'all') === 'all' || (candidate.days === 'weekends') === weekend) &&
+    inHours(candidate.hours, local.hour));
+  return rule ? rule.period : schedule.default;
+}
+
+/**
+ * The period of a schedule plan that a timestamp falls in, in local time of `zone`
+ */
+function periodAt(plan, zone, timestamp) {
+  return classifyHour(plan.schedule, localHour(zone, timestamp), HOLIDAYS[plan.holidays || 'none']);
+}
+
+/**
+ * The prices entry in effect on a local date, or null before the first one
+ */
+function pricesOn(plan, date) {
+  let current = null;
+  for (const entry of plan.prices) {
+    if (entry.from > date) break;
+    current = entry;
+  }
+  return current;
+}
+
+/**
+ * Price one hour's consumption on a tiered plan, given the month's consumption so far
+ */
+function tieredCost(tiers, usedBefore, consumption) {
+  let cost = 0;
+  let used = usedBefore;
+  let remaining = consumption;
+  for (const tier of tiers) {
+    if (remaining <= 0) break;
+    const room = tier.upTo === undefined ? Infinity : Math.max(tier.upTo - used, 0);
+    const amount = Math.min(remaining, room);
+    cost += amount * tier.price;
+    used += amount;
+    remaining -= amount;
+  }
+  return cost;
+}
+
+/**
+ * Price hourly readings on a plan
+ *
+ * `readings` are hourly usage readings in time order (several per hour when
+ * split by TOU tier); `tierOf(reading)` gives a reading's tier key (onPeak,
+ * midPeak or offPeak) for plans with readingTiers. Days and months are local
+ * to `zone`.
+ *
+ * Returns { readings, unpriced }: one { timestamp, consumption, cost } per
+ * priced hour (spooled, see lib/spool.js), and the number of hours before
+ * the plan's first prices.
+ */
+function computePlanCosts(plan, readings, zone, tierOf) {
+  const isHoliday = HOLIDAYS[plan.holidays || 'none'];
+  const priced = createSpool();
+  const monthUsage = new Map();
+  let unpriced = 0;
+  // The hour being summed: undefined before the first reading, null when unpriced
+  let hour;
+  let hourTs = null;
+
+  for (const reading of readings) {
+    if (reading.timestamp !== hourTs) {
+      if (hour) priced.push(hour);
+      hour = undefined;
+      hourTs = reading.timestamp;
+    }
+    const local = localHour(zone, reading.timestamp);
+    const prices = pricesOn(plan, local.date);
+    if (!prices) {
+      if (hour === undefined) unpriced++;
+      hour = null;
+      continue;
+    }
+
+    let cost;
+    if (plan.type === 'tiered') {
+      const month = local.date.slice(0, 7);
+      const used = monthUsage.get(month) || 0;
+      cost = tieredCost(prices.tiers, used, reading.consumption);
+      monthUsage.set(month, used + reading.consumption);
+    } else {
+      const fromFeed = plan.readingTiers && reading.touSource !== 'default' ? tierOf(reading) : null;
+      const period = fromFeed && typeof prices[fromFeed] === 'number' ? fromFeed : classifyHour(plan.schedule, local, isHoliday);
+      cost = reading.consumption * prices[period];
+    }
+
+    if (hour) {
+      hour.consumption += reading.consumption;
+      hour.cost += cost;
+    } else if (hour === undefined) {
+      hour = { timestamp: reading.timestamp, consumption: reading.consumption, cost };
+    }
+  }
+  if (hour) priced.push(hour);
+
+  return {
+    readings: priced.finish(),
+    unpriced
+  };
+}
+
+module.exports = {
+  listBuiltInPlans,
+  loadRatePlan,
+  loadRatePlans,
+  localHour,
+  classifyHour,
+  periodAt,
+  computePlanCosts
+};
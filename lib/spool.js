@@ -0,0 +1,259 @@
+/**
+ * Readings spooled to temporary files
+ *
+ * A multi-year export has tens of thousands of hourly readings, and a
+ * 15-minute or multi-meter one many times more; as objects they take far
+ * more memory than the export does on disk. Long runs of readings are
+ * therefore written to a spool, a temporary file with one JSON object per
+ * line, and read back one at a time whenever they are walked. A spool has
+ * a `length` and can be looped over any number of times, like an array, so
+ * code that only loops over readings works with either.
+ *
+ * Spools live in one temporary directory, removed when the process exits
+ * (or by clearSpools).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+
+// Bytes written or read at a time
+const BUFFER_SIZE = 64 * 1024;
+// Items sorted in memory at a time when a spool is sorted
+const SORT_RUN = 20000;
+
+let directory = null;
+let fileCount = 0;
+
+/**
+ * Path of a new spool file in the temporary directory (created on first use)
+ */
+function newFile() {
+  if (!directory) {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'greenbutton-'));
+  }
+  fileCount++;
+  return path.join(directory, `${fileCount}.jsonl`);
+}
+
+/**
+ * Remove every spool written so far (they can't be read afterwards)
+ */
+function clearSpools() {
+  if (directory) fs.rmSync(directory, { recursive: true, force: true });
+  directory = null;
+}
+
+process.on('exit', clearSpools);
+
+/**
+ * Open a file for writing lines, buffered
+ */
+function openLineWriter(file) {
+  const fd = fs.openSync(file, 'w');
+  let buffer = '';
+  return {
+    write(line) {
+      buffer += line + '\n';
+      if (buffer.length >= BUFFER_SIZE) {
+        fs.writeSync(fd, buffer);
+        buffer = '';
+      }
+    },
+    close() {
+      if (buffer) fs.writeSync(fd, buffer);
+      fs.closeSync(fd);
+    }
+  };
+}
+
+/**
+ * The lines of a file, read a buffer at a time
+ */
+function* readLines(file) {
+  const fd = fs.openSync(file, 'r');
+  const chunk = Buffer.alloc(BUFFER_SIZE);
+  const decoder = new StringDecoder('utf8');
+  let rest = '';
+  try {
+    let bytes;
+    while ((bytes = fs.readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+      const lines = (rest + decoder.write(chunk.subarray(0, bytes))).split('\n');
+      rest = lines.pop();
+      yield* lines;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * A list read lazily: `length` items, produced by iterate() each time it is looped over
+ */
+function lazyList(length, iterate) {
+  return { length, [Symbol.iterator]: iterate };
+}
+
+/**
+ * The spool of a file of `length` JSON lines (no file for an empty one)
+ */
+function spoolOf(file, length) {
+  return lazyList(length, function* () {
+    if (length === 0) return;
+    for (const line of readLines(file)) yield JSON.parse(line);
+  });
+}
+
+/**
+ * Merge lists sorted by `keyOf` (a number) into one sorted sequence
+ *
+ * Stable: of items with equal keys, those of earlier lists come first.
+ */
+function* mergeSorted(lists, keyOf) {
+  const heads = [];
+  for (const list of lists) {
+    const iterator = list[Symbol.iterator]();
+    const next = iterator.next();
+    if (!next.done) heads.push({ iterator, item: next.value, key: keyOf(next.value) });
+  }
+
+  try {
+    while (heads.length > 0) {
+      let smallest = 0;
+      for (let i = 1; i < heads.length; i++) {
+        if (heads[i].key < heads[smallest].key) smallest = i;
+      }
+      const head = heads[smallest];
+      yield head.item;
+      const next = head.iterator.next();
+      if (next.done) {
+        heads.splice(smallest, 1);
+      } else {
+        head.item = next.value;
+        head.key = keyOf(next.value);
+      }
+    }
+  } finally {
+    // Close lists left unfinished when the merge is not read to the end
+    for (const head of heads) {
+      if (head.iterator.return) head.iterator.return();
+    }
+  }
+}
+
+/**
+ * Sort a spool file by `keyOf`, keeping the order of equal keys; returns the sorted file
+ *
+ * Runs of SORT_RUN lines are sorted in memory and written out, then merged.
+ */
+function sortFile(file, keyOf) {
+  const runs = [];
+  let run = [];
+  const writeRun = () => {
+    run.sort((a, b) => a.key - b.key);
+    const runFile = newFile();
+    const writer = openLineWriter(runFile);
+    for (const { line } of run) writer.write(line);
+    writer.close();
+    runs.push(runFile);
+    run = [];
+  };
+
+  for (const line of readLines(file)) {
+    run.push({ key: keyOf(JSON.parse(line)), line });
+    if (run.length === SORT_RUN) writeRun();
+  }
+  if (run.length > 0) writeRun();
+  fs.rmSync(file);
+  if (runs.length === 1) return runs[0];
+
+  const keyedLines = function* (runFile) {
+    for (const line of readLines(runFile)) yield { key: keyOf(JSON.parse(line)), line };
+  };
+  const sorted = newFile();
+  const writer = openLineWriter(sorted);
+  for (const { line } of mergeSorted(runs.map(keyedLines), entry => entry.key)) writer.write(line);
+  writer.close();
+  for (const runFile of runs) fs.rmSync(runFile);
+  return sorted;
+}
+
+/**
+ * Start a spool: push(item) adds an item, finish() returns the spool
+ *
+ * With `options.sortBy` (a function giving an item's numeric key, such as
+ * its timestamp) the finished spool is sorted by it, keeping the order of
+ * items with equal keys.
+ */
+function createSpool(options = {}) {
+  const { sortBy } = options;
+  let file = null;
+  let writer = null;
+  let length = 0;
+  let ordered = true;
+  let lastKey = -Infinity;
+
+  return {
+    push(item) {
+      if (!writer) {
+        file = newFile();
+        writer = openLineWriter(file);
+      }
+      writer.write(JSON.stringify(item));
+      length++;
+      if (sortBy && ordered) {
+        const key = sortBy(item);
+        if (key < lastKey) ordered = false;
+        lastKey = key;
+      }
+    },
+    finish() {
+      if (writer) writer.close();
+      writer = null;
+      if (length > 0 && !ordered) file = sortFile(file, sortBy);
+      return spoolOf(file, length);
+    }
+  };
+}
+
+/**
+ * Spool any sequence of items (see createSpool for options)
+ */
+function toSpool(items, options = {}) {
+  const spool = createSpool(options);
+  for (const item of items) spool.push(item);
+  return spool.finish();
+}
+
+/**
+ * Loop over several lists one after another
+ */
+function* concat(...lists) {
+  for (const list of lists) yield* list;
+}
+
+/**
+ * Split a sequence into arrays of at most `size` items
+ */
+function* batches(items, size) {
+  let batch = [];
+  for (const item of items) {
+    batch.push(item);
+    if (batch.length === size) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) yield batch;
+}
+
+module.exports = {
+  createSpool,
+  toSpool,
+  mergeSorted,
+  lazyList,
+  concat,
+  batches,
+  clearSpools
+};
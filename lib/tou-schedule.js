@@ -0,0 +1,101 @@
+/**
+ * TOU tiers from a schedule
+ *
+ * Readings that carry no `tou` element (and whose ReadingType names no tier)
+ * default to Off-Peak, which puts every unlabelled hour in `off_peak`. A TOU
+ * schedule gives those hours the tier their local time falls in instead:
+ * weekday and weekend hours, summer and winter windows, statutory holidays
+ * priced like weekends. Schedules are schedule rate plans whose periods are
+ * tiers (onPeak, midPeak, offPeak), such as rate-plans/ontario-tou.json.
+ *
+ * The same schedule can audit a feed's own tiers: hours where the file says
+ * one tier and the schedule another (see lib/validate.js).
+ */
+
+const { loadRatePlan, periodAt } = require('./rate-plans');
+const { createSpool } = require('./spool');
+
+const TIERS = ['onPeak', 'midPeak', 'offPeak'];
+
+// Reading touName of each tier (as CONFIG.touMapping in greenbutton-to-sql.js)
+const TIER_NAMES = {
+  onPeak: 'On-Peak',
+  midPeak: 'Mid-Peak',
+  offPeak: 'Off-Peak'
+};
+
+/**
+ * Load a TOU schedule: a built-in rate plan name or a plan JSON file
+ * whose schedule only uses TOU tiers as periods
+ */
+function loadTouSchedule(nameOrPath) {
+  const plan = loadRatePlan(nameOrPath);
+  if (plan.type !== 'schedule') {
+    throw new Error(`TOU schedule ${nameOrPath}: rate plan type must be schedule (got ${plan.type})`);
+  }
+  const periods = [plan.schedule.default, ...(plan.schedule.rules || []).map(rule => rule.period)];
+  const other = periods.find(period => !TIERS.includes(period));
+  if (other) {
+    throw new Error(`TOU schedule ${nameOrPath}: period ${other} is not a TOU tier (${TIERS.join(', ')})`);
+  }
+  return plan;
+}
+
+/**
+ * The tier a profile's touMapping gives a reading's `tou` code (unmapped codes count as Off-Peak)
+ */
+function tierOf(touMapping, reading) {
+  return touMapping[reading.tou] || 'offPeak';
+}
+
+/**
+ * Give readings without a tier of their own (touSource 'default') the tier of
+ * the schedule in local time of `zone`
+ *
+ * `touMapping` (a profile's) supplies the `tou` code for each tier; tiers it
+ * has no code for are left at the default. Returns { readings, filled } with
+ * filled readings marked touSource 'schedule', spooled (see lib/spool.js).
+ */
+function fillTiers(readings, schedule, zone, touMapping) {
+  const codes = {};
+  for (const [code, tier] of Object.entries(touMapping)) {
+    if (codes[tier] === undefined) codes[tier] = parseInt(code);
+  }
+
+  let filled = 0;
+  const result = createSpool();
+  for (const reading of readings) {
+    const tier = reading.touSource === 'default' ? periodAt(schedule, zone, reading.timestamp) : null;
+    if (tier === null || codes[tier] === undefined) {
+      result.push(reading);
+      continue;
+    }
+    filled++;
+    result.push({ ...reading, tou: codes[tier], touName: TIER_NAMES[tier], touSource: 'schedule' });
+  }
+
+  return { readings: result.finish(), filled };
+}
+
+/**
+ * Hourly and sub-hourly intervals whose own tier differs from the schedule's
+ *
+ * Yields { interval, tier, scheduled } for intervals with a tier from the
+ * feed (touSource 'reading' or 'readingType'), in the order given.
+ */
+function* findTierMismatches(intervals, schedule, zone, touMapping) {
+  for (const interval of intervals) {
+    if (interval.duration > 3600 || interval.touSource === 'default') continue;
+    const tier = tierOf(touMapping, interval);
+    const scheduled = periodAt(schedule, zone, interval.timestamp);
+    if (tier !== scheduled) yield { interval, tier, scheduled };
+  }
+}
+
+module.exports = {
+  TIER_NAMES,
+  loadTouSchedule,
+  tierOf,
+  fillTiers,
+  findTierMismatches
+};
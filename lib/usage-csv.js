@@ -0,0 +1,447 @@
+/**
+ * Reader for utility CSV downloads
+ *
+ * Hydro One's Download My Data (like other Green Button portals) offers
+ * interval usage as CSV as well as XML, and some periods are only available
+ * that way. A download has a header row naming its columns, possibly after a
+ * few lines of account details; columns are recognised by name (see COLUMNS):
+ *
+ *   start     - interval start: a date and time, or a time beside a date column
+ *   end       - interval end, or `duration` (seconds, or with min/h); without
+ *               either, the most common spacing between starts
+ *   usage     - energy used, in kWh unless the header or a units column says
+ *               Wh or MWh; `returned` - energy returned to the grid
+ *   cost      - the interval's cost ($ signs, commas and (negative) parentheses allowed)
+ *   tou       - time-of-use tier: On-Peak, Mid-Peak, Off-Peak or 1-3
+ *   type      - generation/export rows are energy returned to the grid
+ *   meter     - meter number, for downloads covering several meters
+ *
+ * Times are local wall-clock time unless they carry a UTC offset, and are
+ * converted in the zone given (see lib/localtime.js). The hour repeated when
+ * DST ends is told apart by an EDT/EST style suffix, else by order: its first
+ * occurrence is daylight time, the second standard time. Times in the hour
+ * skipped when DST starts don't exist and are reported as errors.
+ *
+ * Files written by `--format csv` (see lib/writers.js) are statistics, not a
+ * download, and are refused.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { localTimestamps } = require('./localtime');
+const { createSpool } = require('./spool');
+
+// Header names of each column role, lowercase, without (units) and punctuation
+const COLUMNS = {
+  date: ['date', 'read date', 'usage date', 'interval date', 'day'],
+  start: ['start', 'start time', 'start date', 'start date time', 'start datetime', 'interval start', 'interval start time', 'from', 'date time', 'datetime', 'timestamp', 'time'],
+  end: ['end', 'end time', 'end date', 'end date time', 'end datetime', 'interval end', 'interval end time', 'to'],
+  duration: ['duration', 'interval length', 'seconds'],
+  usage: ['usage', 'consumption', 'energy', 'kwh', 'energy delivered', 'delivered', 'import', 'usage value', 'quantity', 'value', 'reading'],
+  returned: ['returned', 'received', 'energy received', 'generation', 'net generation', 'export', 'exported'],
+  units: ['unit', 'units', 'uom', 'unit of measure'],
+  cost: ['cost', 'amount', 'charge', 'charges', 'usage cost', 'electricity cost'],
+  tou: ['tou', 'time of use', 'tou period', 'tou tier', 'rate', 'rate period', 'rate type', 'price period', 'period', 'tier'],
+  type: ['type', 'reading type', 'direction', 'flow', 'flow direction'],
+  meter: ['meter', 'meter number', 'meter id', 'meter no', 'usage point', 'service point'],
+  currency: ['currency']
+};
+
+// Header cells only `--format csv` output has (its statistics and interval columns)
+const EXPORT_COLUMNS = ['statistics', 'interval'];
+
+// Energy units, as the factor converting to kWh
+const UNIT_SCALE = {
+  wh: 0.001,
+  kwh: 1,
+  mwh: 1000
+};
+
+// North American zone abbreviations: standard offset in hours
+const ZONE_ABBREVIATIONS = {
+  A: -4,
+  E: -5,
+  C: -6,
+  M: -7,
+  P: -8
+};
+
+/**
+ * Split one CSV line into fields (RFC 4180 quoting, "" for a literal quote)
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Split a header cell into its name and the text in parentheses
+ * ("Usage (kWh)" -> { name: 'usage', note: 'kWh' })
+ */
+function parseHeaderCell(cell) {
+  const note = cell.match(/\(([^)]*)\)/);
+  const name = cell.replace(/\([^)]*\)/g, ' ').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return { name, note: note ? note[1].trim() : null };
+}
+
+/**
+ * Map a header row to column indexes by role, or null if it isn't one
+ *
+ * A header needs a start (or date) column and a usage (or returned) column.
+ */
+function readHeader(fields) {
+  const columns = {};
+  fields.forEach((cell, index) => {
+    const { name, note } = parseHeaderCell(cell);
+    for (const [role, names] of Object.entries(COLUMNS)) {
+      if (columns[role] === undefined && names.includes(name)) {
+        columns[role] = { index, note };
+        break;
+      }
+    }
+  });
+  if (columns.start === undefined && columns.date === undefined) return null;
+  if (columns.usage === undefined && columns.returned === undefined) return null;
+  return columns;
+}
+
+/**
+ * Parse a date and/or time cell
+ *
+ * Returns { date, seconds, hasTime, offset } with the date as YYYY-MM-DD
+ * (null if the cell has none), seconds after midnight (0 without a time) and
+ * the UTC offset in seconds when the cell states one (else null). Returns
+ * null if nothing can be read.
+ */
+function parseDateTime(text) {
+  let date = null;
+  let rest = text.trim();
+
+  const iso = rest.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  const american = rest.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/);
+  if (iso) {
+    date = [iso[1], iso[2].padStart(2, '0'), iso[3].padStart(2, '0')].join('-');
+    rest = rest.slice(iso[0].length);
+  } else if (american) {
+    // Month first, as North American portals write it, unless it can't be a month
+    const [month, day] = parseInt(american[1]) > 12 ? [american[2], american[1]] : [american[1], american[2]];
+    date = [american[3], month.padStart(2, '0'), day.padStart(2, '0')].join('-');
+    rest = rest.slice(american[0].length);
+  }
+
+  let seconds = 0;
+  const time = rest.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(?:\s*([ap])\.?m\.?)?/i);
+  if (time) {
+    let hour = parseInt(time[1]);
+    if (time[4]) hour = (hour % 12) + (time[4].toLowerCase() === 'p' ? 12 : 0);
+    seconds = hour * 3600 + parseInt(time[2]) * 60 + parseInt(time[3] || 0);
+    rest = rest.slice(time.index + time[0].length);
+  } else if (!date) {
+    return null;
+  }
+
+  let offset = null;
+  const utc = rest.match(/^\s*(Z|[+-]\d{2}:?\d{2})\s*$/i);
+  const abbreviation = rest.match(/\b([AECMP])([SD])T\b/i);
+  if (utc) {
+    const sign = utc[1].startsWith('-') ? -1 : 1;
+    const digits = utc[1].replace(/\D/g, '');
+    offset = utc[1].toUpperCase() === 'Z' ? 0 : sign * (parseInt(digits.slice(0, 2)) * 3600 + parseInt(digits.slice(2)) * 60);
+  } else if (abbreviation) {
+    offset = (ZONE_ABBREVIATIONS[abbreviation[1].toUpperCase()] + (abbreviation[2].toUpperCase() === 'D' ? 1 : 0)) * 3600;
+  }
+
+  return { date, seconds, hasTime: Boolean(time), offset };
+}
+
+/**
+ * Parse an amount: '' is null, $ signs, currency codes and thousands
+ * separators are ignored, (parentheses) mean negative; NaN if unreadable
+ */
+function parseAmount(text) {
+  const value = text.replace(/[$\s,]/g, '').replace(/^[A-Z]{3}|[A-Z]{3}$/g, '');
+  if (value === '') return null;
+  const negative = /^\(.*\)$/.test(value);
+  const number = Number(negative ? value.slice(1, -1) : value);
+  return negative ? -number : number;
+}
+
+/**
+ * Parse a duration cell: seconds, or a number with s, min or h
+ */
+function parseDuration(text) {
+  const match = text.trim().match(/^(\d+(?:\.\d+)?)\s*(s|sec|seconds?|m|min|minutes?|h|hr|hours?)?$/i);
+  if (!match) return NaN;
+  const unit = (match[2] || 's').toLowerCase();
+  const factor = unit.startsWith('h') ? 3600 : unit.startsWith('m') ? 60 : 1;
+  return Math.round(parseFloat(match[1]) * factor);
+}
+
+/**
+ * TOU code (1 On-Peak, 2 Mid-Peak, 3 Off-Peak) of a tier cell, null if unknown
+ */
+function parseTou(text) {
+  const value = text.toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (/^[123]$/.test(value)) return parseInt(value);
+  if (value === 'on' || value === 'onpeak') return 1;
+  if (value === 'mid' || value === 'midpeak') return 2;
+  if (value === 'off' || value === 'offpeak') return 3;
+  return null;
+}
+
+/**
+ * The YYYY-MM-DD date a number of days after another
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+/**
+ * kWh factor of an energy unit, or undefined
+ */
+function unitScale(unit) {
+  return UNIT_SCALE[unit.toLowerCase().replace(/[^a-z]/g, '')];
+}
+
+/**
+ * Whether a file looks like CSV rather than XML (its first character isn't <)
+ */
+function isCsvFile(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(512);
+    const length = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    const start = buffer.toString('utf-8', 0, length).replace(/^\uFEFF/, '').trimStart();
+    return start.length > 0 && !start.startsWith('<');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Read a CSV download into usage intervals
+ *
+ * `options.zone` converts local times (see lib/localtime.js);
+ * `options.currency` labels costs when the file doesn't name a currency.
+ * Returns { intervals, unknownTiers }: intervals { timestamp, duration,
+ * consumption (kWh), cost, tou (a code, or null without one), unit,
+ * currency, usagePoint (the meter, or null), flow (delivered or received) }
+ * in file order, spooled (see lib/spool.js), and the tier labels that
+ * couldn't be read. Throws on unreadable rows, naming the file and line.
+ */
+async function readUsageCsv(filePath, options) {
+  const { zone } = options;
+  let columns = null;
+  let headerScale;
+  let headerCurrency = null;
+  let lineNumber = 0;
+
+  const cell = (row, role) => (columns[role] === undefined ? '' : row.fields[columns[role].index] || '');
+  const fail = (row, message) => new Error(`${filePath}:${row.line}: ${message}`);
+  const note = (role) => (columns[role] && columns[role].note) || '';
+
+  // Resolve a cell's local time to UTC candidates
+  const resolve = (row, parsed) => {
+    if (parsed.offset !== null) {
+      const [year, month, day] = parsed.date.split('-').map(Number);
+      return [Date.UTC(year, month - 1, day) / 1000 + parsed.seconds - parsed.offset];
+    }
+    return localTimestamps(zone, parsed.date, parsed.seconds);
+  };
+
+  const intervals = createSpool();
+  const unknownTiers = new Set();
+  // Occurrences of each ambiguous local time (the hour repeated when DST ends)
+  const occurrences = new Map();
+  let missingDurations = false;
+
+  const readRow = (row) => {
+    const startText = cell(row, 'start');
+    const dateText = cell(row, 'date');
+    const label = startText || dateText;
+    // Totals and blank trailing rows
+    if (label === '' || /total/i.test(label)) return;
+
+    const start = parseDateTime(startText || dateText);
+    if (!start) throw fail(row, `unreadable start time ${JSON.stringify(label)}`);
+    if (!start.date) {
+      const date = parseDateTime(dateText);
+      if (!date || !date.date) throw fail(row, `no date for start time ${JSON.stringify(startText)}`);
+      start.date = date.date;
+    }
+
+    const meter = cell(row, 'meter') || null;
+    const received = /generat|export|receiv|return|surplus/i.test(cell(row, 'type'));
+    const candidates = resolve(row, start);
+    if (candidates.length === 0) {
+      throw fail(row, `${startText || dateText} does not exist in ${zone.name} (skipped when DST starts)`);
+    }
+    // The repeated hour: first occurrence in daylight time, the next in standard time
+    let seen = 0;
+    if (candidates.length > 1) {
+      const key = `${meter}|${received}|${start.date}|${start.seconds}`;
+      seen = occurrences.get(key) || 0;
+      occurrences.set(key, seen + 1);
+    }
+    const timestamp = candidates[Math.min(seen, candidates.length - 1)];
+
+    let duration = null;
+    if (cell(row, 'end')) {
+      const end = parseDateTime(cell(row, 'end'));
+      if (!end) throw fail(row, `unreadable end time ${JSON.stringify(cell(row, 'end'))}`);
+      // An end time alone is on the start's date, or the next one if it isn't later (23:00 to 00:00)
+      if (!end.date) end.date = end.seconds > start.seconds ? start.date : addDays(start.date, 1);
+      const endCandidates = resolve(row, end);
+      // Wall-clock length, unless both ends are unambiguous (across a DST change)
+      duration = candidates.length === 1 && endCandidates.length === 1
+        ? endCandidates[0] - timestamp
+        : (Date.parse(end.date) - Date.parse(start.date)) / 1000 + end.seconds - start.seconds;
+      // Ends written as the last minute or second of the interval (00:59, 00:59:59)
+      if (duration % 60 !== 0) duration = Math.round(duration / 60) * 60;
+      if (duration % 300 !== 0 && (duration + 60) % 300 === 0) duration += 60;
+    } else if (cell(row, 'duration')) {
+      duration = parseDuration(cell(row, 'duration'));
+      if (isNaN(duration)) throw fail(row, `unreadable duration ${JSON.stringify(cell(row, 'duration'))}`);
+    } else if (!start.hasTime) {
+      // Dates alone are days (whatever their length in hours)
+      duration = 86400;
+    }
+    if (duration !== null && duration <= 0) throw fail(row, 'interval ends before it starts');
+
+    const scale = cell(row, 'units') ? unitScale(cell(row, 'units')) : headerScale;
+    if (scale === undefined) throw fail(row, `unsupported unit ${cell(row, 'units')} (expected Wh, kWh or MWh)`);
+
+    const amounts = {};
+    for (const role of ['usage', 'returned', 'cost']) {
+      amounts[role] = parseAmount(cell(row, role));
+      if (Number.isNaN(amounts[role])) throw fail(row, `unreadable ${role} ${JSON.stringify(cell(row, role))}`);
+    }
+    if (amounts.usage === null && amounts.returned === null) return;
+
+    const tierText = cell(row, 'tou');
+    const tou = tierText ? parseTou(tierText) : null;
+    if (tierText && tou === null) unknownTiers.add(tierText);
+
+    const base = {
+      timestamp,
+      duration,
+      tou,
+      unit: 'kWh',
+      currency: cell(row, 'currency').toUpperCase() || headerCurrency || options.currency,
+      usagePoint: meter
+    };
+    if (duration === null) missingDurations = true;
+    if (amounts.usage !== null) {
+      // Compensation for returned energy is a positive amount, however the file writes credits
+      const cost = received ? Math.abs(amounts.cost || 0) : amounts.cost || 0;
+      intervals.push({ ...base, consumption: amounts.usage * scale, cost, flow: received ? 'received' : 'delivered' });
+    }
+    if (amounts.returned !== null) {
+      intervals.push({ ...base, consumption: amounts.returned * scale, cost: 0, flow: 'received' });
+    }
+  };
+
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath, 'utf-8'), crlfDelay: Infinity });
+  for await (const rawLine of lines) {
+    lineNumber++;
+    const line = lineNumber === 1 ? rawLine.replace(/^\uFEFF/, '') : rawLine;
+    if (line.trim() === '') continue;
+    const fields = splitCsvLine(line);
+    if (columns) {
+      readRow({ line: lineNumber, fields });
+      continue;
+    }
+
+    // Lines before the header (account details) are skipped
+    const names = fields.map(cell => parseHeaderCell(cell).name);
+    if (EXPORT_COLUMNS.every(name => names.includes(name))) {
+      throw new Error(`${filePath}: written by --format csv (statistics, not a usage download)`);
+    }
+    columns = readHeader(fields);
+    if (!columns) continue;
+
+    headerScale = unitScale(note('usage') || note('returned') || 'kWh');
+    headerCurrency = /^[A-Z]{3}$/i.test(note('cost')) ? note('cost').toUpperCase() : null;
+    if (headerScale === undefined) {
+      throw new Error(`${filePath}: unsupported usage unit ${note('usage') || note('returned')} (expected Wh, kWh or MWh)`);
+    }
+  }
+
+  if (!columns) {
+    throw new Error(`${filePath}: no header row with a start time and usage column found`);
+  }
+
+  const read = intervals.finish();
+  return { intervals: missingDurations ? inferDurations(read) : read, unknownTiers: [...unknownTiers] };
+}
+
+/**
+ * Fill in the duration of intervals read without an end or duration column:
+ * the most common spacing between starts of the same meter and flow (an
+ * hour when there is only one); returns the intervals as a new spool
+ */
+function inferDurations(intervals) {
+  const keyOf = (interval) => `${interval.usagePoint}|${interval.flow}`;
+  const starts = createSpool({ sortBy: start => start.timestamp });
+  for (const interval of intervals) {
+    if (interval.duration === null) starts.push({ key: keyOf(interval), timestamp: interval.timestamp });
+  }
+
+  // Per stream: the last start seen and how often each gap between starts occurs
+  const streams = new Map();
+  for (const { key, timestamp } of starts.finish()) {
+    if (!streams.has(key)) streams.set(key, { last: null, counts: new Map() });
+    const stream = streams.get(key);
+    if (stream.last === timestamp) continue;
+    if (stream.last !== null) {
+      const gap = timestamp - stream.last;
+      stream.counts.set(gap, (stream.counts.get(gap) || 0) + 1);
+    }
+    stream.last = timestamp;
+  }
+
+  const durations = new Map();
+  for (const [key, { counts }] of streams) {
+    let duration = 3600;
+    let most = 0;
+    for (const [gap, count] of counts) {
+      if (count > most) [duration, most] = [gap, count];
+    }
+    durations.set(key, duration);
+  }
+
+  const filled = createSpool();
+  for (const interval of intervals) {
+    filled.push(interval.duration === null ? { ...interval, duration: durations.get(keyOf(interval)) } : interval);
+  }
+  return filled.finish();
+}
+
+module.exports = {
+  isCsvFile,
+  readUsageCsv
+};
@@ -0,0 +1,519 @@
+/**
+ * Validation of parsed Green Button usage data
+ *
+ * Works on the usage intervals exactly as they were read from the feed
+ * (`intervals` from parseGreenButtonXML, zeros and duplicates included) and
+ * reports problems that would otherwise only show up later as flat or
+ * doubled days in the Energy dashboard:
+ *
+ *   interval-length  lengths the converter can't use, or mixed lengths
+ *   misaligned       intervals not starting on their hour / local midnight
+ *   duplicate        the same interval reported more than once
+ *   gap              missing hours (or days, for daily-interval feeds)
+ *   partial-hour     hours only partly covered by sub-hourly intervals
+ *   day-length       local days whose hour count doesn't match DST
+ *   negative-value   negative usage
+ *   negative-cost    negative cost (credits)
+ *   outlier          usage far above the feed's typical interval
+ *   missing-cost     usage without a cost in a feed that has costs
+ *   cost-rate        cost that doesn't fit the tier's rate for the month
+ *   tou-schedule     hours whose TOU tier differs from a TOU schedule (only
+ *                    when auditing against one, see lib/tou-schedule.js)
+ *
+ * Each issue is { severity: 'error' | 'warning', check, message, timestamp? }.
+ * Exports covering several meters are checked one UsagePoint at a time, and
+ * their issues also carry the `usagePoint`. Energy returned to the grid
+ * (intervals with flow 'received') is checked as a stream of its own.
+ */
+
+const { usagePointIds, usagePointOf, groupByTimestamp } = require('./meters');
+const { TIER_NAMES, findTierMismatches } = require('./tou-schedule');
+const { createSpool, lazyList } = require('./spool');
+
+// Outliers: more than this many (scaled) median absolute deviations above the median
+const OUTLIER_MADS = 10;
+// Outlier statistics need at least this many intervals to mean anything
+const OUTLIER_MIN_SAMPLES = 24;
+// Cost-rate anomalies: relative difference from the tier's median rate
+const RATE_TOLERANCE = 0.25;
+// ...and absolute difference, so rounding of tiny costs isn't flagged
+const MIN_COST_DIFFERENCE = 0.001;
+
+const SEVERITY = {
+  'interval-length': 'error',
+  misaligned: 'warning',
+  duplicate: 'error',
+  gap: 'error',
+  'partial-hour': 'warning',
+  'day-length': 'error',
+  'negative-value': 'error',
+  'negative-cost': 'warning',
+  outlier: 'warning',
+  'missing-cost': 'warning',
+  'cost-rate': 'warning',
+  'tou-schedule': 'warning'
+};
+
+/**
+ * Whether the converter can use an interval length (see parseGreenButtonXML)
+ */
+function isSupportedDuration(duration) {
+  return (duration > 0 && duration < 3600) || duration === 3600 || duration === 86400;
+}
+
+/**
+ * Local date and time of a timestamp as YYYY-MM-DD HH:MM, with the UTC
+ * offset next to DST transitions, where a local time can occur twice
+ */
+function formatLocal(ts, zone) {
+  const offset = zone.offsetAt(ts);
+  const local = new Date((ts + offset) * 1000).toISOString().slice(0, 16).replace('T', ' ');
+  if (zone.offsetAt(ts - 3600) === offset && zone.offsetAt(ts + 3600) === offset) return local;
+
+  const minutes = Math.abs(offset) / 60;
+  const sign = offset < 0 ? '-' : '+';
+  return `${local} (UTC${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')})`;
+}
+
+/**
+ * The YYYY-MM-DD date a number of days after another
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+/**
+ * A number with its unit, if known
+ */
+function withUnit(value, unit) {
+  return unit ? `${+value.toFixed(6)} ${unit}` : `${+value.toFixed(6)}`;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Median of a non-empty spool of numbers sorted by value (see lib/spool.js)
+ */
+function sortedMedian(sorted) {
+  const middle = Math.floor(sorted.length / 2);
+  let previous = null;
+  let index = 0;
+  for (const value of sorted) {
+    if (index === middle) return sorted.length % 2 ? value : (previous + value) / 2;
+    previous = value;
+    index++;
+  }
+  return null;
+}
+
+/**
+ * Group items by a key function into a Map of arrays
+ */
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+/**
+ * The items of a list that pass `test`, read lazily from it (see lib/spool.js)
+ */
+function filterList(list, test) {
+  let length = 0;
+  for (const item of list) {
+    if (test(item)) length++;
+  }
+  return lazyList(length, function* () {
+    for (const item of list) {
+      if (test(item)) yield item;
+    }
+  });
+}
+
+/**
+ * Collapse sorted items into runs { first, last, count } of consecutive ones
+ */
+function toRuns(items, isNext) {
+  const runs = [];
+  for (const item of items) {
+    const run = runs[runs.length - 1];
+    if (run && isNext(run.last, item)) {
+      run.last = item;
+      run.count++;
+    } else {
+      runs.push({ first: item, last: item, count: 1 });
+    }
+  }
+  return runs;
+}
+
+function checkIntervalLengths(intervals, zone, add) {
+  const byDuration = new Map();  // duration -> { count, first }
+  for (const interval of intervals) {
+    const group = byDuration.get(interval.duration);
+    if (group) group.count++;
+    else byDuration.set(interval.duration, { count: 1, first: interval.timestamp });
+  }
+
+  for (const [duration, group] of byDuration) {
+    if (!isSupportedDuration(duration)) {
+      add('interval-length', `${plural(group.count, 'interval')} of ${duration} s can't be imported and will be skipped (first at ${formatLocal(group.first, zone)})`, group.first);
+    }
+  }
+
+  const subDaily = [...byDuration.keys()].filter(duration => duration < 86400 && isSupportedDuration(duration));
+  if (subDaily.length > 1) {
+    add('interval-length', `The feed mixes ${subDaily.sort((a, b) => a - b).join(' s, ')} s intervals`);
+  }
+
+  for (const interval of intervals) {
+    if (interval.duration <= 3600 && interval.timestamp % interval.duration !== 0) {
+      add('misaligned', `${interval.duration} s interval at ${formatLocal(interval.timestamp, zone)} doesn't start on an interval boundary`, interval.timestamp);
+    } else if (interval.duration === 86400 && zone.startOfDay(zone.dateKey(interval.timestamp)) !== interval.timestamp) {
+      add('misaligned', `Daily interval at ${formatLocal(interval.timestamp, zone)} doesn't start at local midnight in ${zone.name}`, interval.timestamp);
+    }
+  }
+}
+
+/**
+ * The same interval of the same tier more than once (tiers can be separate streams)
+ */
+function checkDuplicates(intervals, zone, add) {
+  for (const moment of groupByTimestamp(intervals)) {
+    for (const group of groupBy(moment, interval => `${interval.duration}:${interval.touName}`).values()) {
+      if (group.length < 2) continue;
+      const values = group.map(interval => withUnit(interval.consumption, interval.unit)).join(', ');
+      add('duplicate', `${group[0].touName} ${group[0].duration} s interval at ${formatLocal(group[0].timestamp, zone)} appears ${group.length} times (${values})`, group[0].timestamp);
+    }
+  }
+}
+
+/**
+ * Missing, partly covered and multi-tier hours between the first and last hourly interval
+ *
+ * Hours are checked as soon as no later interval can reach them.
+ */
+function checkHourlyGaps(hourly, zone, add) {
+  const open = new Map();  // hour -> { seconds, tiers }, in time order
+  const gaps = [];
+  let previous = null;
+
+  const close = (before) => {
+    for (const [hour, covered] of open) {
+      if (hour >= before) break;
+      open.delete(hour);
+      if (previous !== null && hour > previous + 3600) {
+        gaps.push({ first: previous + 3600, last: hour - 3600, count: (hour - previous) / 3600 - 1 });
+      }
+      previous = hour;
+
+      if (covered.seconds < 3600) {
+        add('partial-hour', `Hour at ${formatLocal(hour, zone)} is only ${Math.round(covered.seconds / 60)} minutes covered`, hour);
+      } else if (covered.seconds > 3600 && covered.tiers.size > 1) {
+        // Same-tier repeats are reported by checkDuplicates
+        add('duplicate', `Hour at ${formatLocal(hour, zone)} is covered by more than one tier (${[...covered.tiers].join(', ')})`, hour);
+      }
+    }
+  };
+
+  for (const interval of hourly) {
+    close(Math.floor(interval.timestamp / 3600) * 3600);
+    const end = interval.timestamp + interval.duration;
+    for (let hour = Math.floor(interval.timestamp / 3600) * 3600; hour < end; hour += 3600) {
+      const overlap = Math.min(end, hour + 3600) - Math.max(interval.timestamp, hour);
+      if (!open.has(hour)) open.set(hour, { seconds: 0, tiers: new Set() });
+      open.get(hour).seconds += overlap;
+      open.get(hour).tiers.add(interval.touName);
+    }
+  }
+  close(Infinity);
+
+  for (const run of gaps) {
+    const range = run.count === 1
+      ? formatLocal(run.first, zone)
+      : `${formatLocal(run.first, zone)} to ${formatLocal(run.last, zone)}`;
+    add('gap', `${plural(run.count, 'missing hour')}: ${range}`, run.first);
+  }
+}
+
+/**
+ * Missing local days between the first and last daily interval
+ */
+function checkDailyGaps(daily, zone, add) {
+  const dates = new Set();
+  for (const interval of daily) dates.add(zone.dateKey(interval.timestamp));
+  const sorted = [...dates].sort();
+  const missing = [];
+  for (let date = sorted[0]; date < sorted[sorted.length - 1]; date = addDays(date, 1)) {
+    if (!dates.has(date)) missing.push(date);
+  }
+
+  for (const run of toRuns(missing, (last, date) => date === addDays(last, 1))) {
+    const range = run.count === 1 ? run.first : `${run.first} to ${run.last}`;
+    add('gap', `${plural(run.count, 'missing day')}: ${range}`, zone.startOfDay(run.first));
+  }
+}
+
+/**
+ * Local days whose hours of data don't fit the zone's DST
+ *
+ * With UTC timestamps a feed that gets DST wrong shows up as a missing hour
+ * and a repeated one on the same day. That is reported on DST transition
+ * days (23 or 25 hours long) whose data doesn't have exactly one interval
+ * per hour, and on other days with both a missing and a repeated hour. Only
+ * whole days between the first and last hour are checked.
+ */
+function checkDayLengths(hourly, zone, add) {
+  const byDate = new Map();  // date -> { seconds, distinct } of its intervals
+  let dateHours = null;  // the distinct hours of the date being read
+  for (const interval of hourly) {
+    const date = zone.dateKey(interval.timestamp);
+    if (!byDate.has(date)) {
+      byDate.set(date, { seconds: 0, distinct: 0 });
+      dateHours = new Set();
+    }
+    const day = byDate.get(date);
+    day.seconds += interval.duration;
+    dateHours.add(Math.floor(interval.timestamp / 3600));
+    day.distinct = dateHours.size;
+  }
+  const dates = [...byDate.keys()].sort();
+
+  for (let date = addDays(dates[0], 1); date < dates[dates.length - 1]; date = addDays(date, 1)) {
+    const start = zone.startOfDay(date);
+    const length = (zone.startOfDay(addDays(date, 1)) - start) / 3600;
+    const day = byDate.get(date) || { seconds: 0, distinct: 0 };
+    const hours = day.seconds / 3600;
+    const distinct = day.distinct;
+
+    if (length !== 24 && (distinct !== length || Math.abs(hours - length) > 1e-9)) {
+      add('day-length', `${date} is a ${length} hour DST transition day in ${zone.name}, but has ${distinct} distinct hours of data (${+hours.toFixed(2)} in total)`, start);
+    } else if (length === 24 && distinct < length && hours >= length) {
+      add('day-length', `${date} has a missing and a repeated hour, as if the feed changed DST on a day ${zone.name} doesn't`, start);
+    }
+  }
+}
+
+/**
+ * Negative usage or cost, and usage far above the typical value for its interval length
+ *
+ * Typical values are medians of each length's usage, sorted in a spool (see lib/spool.js).
+ */
+function checkValues(intervals, zone, add) {
+  const keyOf = (interval) => `${interval.duration}:${interval.unit}`;
+  const groups = new Map();  // key -> spool of its positive values
+  for (const interval of intervals) {
+    if (interval.consumption < 0) {
+      add('negative-value', `Negative usage ${withUnit(interval.consumption, interval.unit)} at ${formatLocal(interval.timestamp, zone)}`, interval.timestamp);
+    }
+    if (interval.cost < 0) {
+      add('negative-cost', `Negative cost ${withUnit(interval.cost, interval.currency)} at ${formatLocal(interval.timestamp, zone)}`, interval.timestamp);
+    }
+    if (!groups.has(keyOf(interval))) groups.set(keyOf(interval), createSpool({ sortBy: value => value }));
+    if (interval.consumption > 0) groups.get(keyOf(interval)).push(interval.consumption);
+  }
+
+  // Compare intervals of one length and unit with each other
+  for (const [key, group] of groups) {
+    const values = group.finish();
+    if (values.length < OUTLIER_MIN_SAMPLES) continue;
+
+    const middle = sortedMedian(values);
+    const deviations = createSpool({ sortBy: value => value });
+    for (const value of values) deviations.push(Math.abs(value - middle));
+    const spread = 1.4826 * sortedMedian(deviations.finish());
+    if (spread === 0) continue;
+
+    const limit = middle + OUTLIER_MADS * spread;
+    for (const interval of intervals) {
+      if (keyOf(interval) === key && interval.consumption > limit) {
+        add('outlier', `Usage ${withUnit(interval.consumption, interval.unit)} at ${formatLocal(interval.timestamp, zone)} is far above the typical ${withUnit(middle, interval.unit)} (limit ${withUnit(limit, interval.unit)})`, interval.timestamp);
+      }
+    }
+  }
+}
+
+/**
+ * Costs that don't fit the rate implied by the tier's other intervals that month
+ *
+ * Intervals are read a month at a time.
+ */
+function checkCostRates(intervals, zone, add) {
+  const currencies = new Map();  // currency -> whether any of its intervals has a cost
+  for (const interval of intervals) {
+    if (interval.consumption > 0) currencies.set(interval.currency, currencies.get(interval.currency) || interval.cost > 0);
+  }
+
+  for (const [currency, hasCosts] of currencies) {
+    if (!hasCosts) continue;  // Feed has no costs at all
+    const inGroup = (interval) => interval.consumption > 0 && interval.currency === currency;
+
+    for (const interval of intervals) {
+      if (inGroup(interval) && interval.cost === 0) {
+        add('missing-cost', `Usage at ${formatLocal(interval.timestamp, zone)} has no cost`, interval.timestamp);
+      }
+    }
+
+    let month = null;
+    let tiers = new Map();  // duration:touName -> the month's priced intervals
+    const checkMonth = () => {
+      for (const tier of tiers.values()) {
+        const rate = median(tier.map(interval => interval.cost / interval.consumption));
+        for (const interval of tier) {
+          const expected = rate * interval.consumption;
+          const difference = Math.abs(interval.cost - expected);
+          if (difference > Math.max(RATE_TOLERANCE * expected, MIN_COST_DIFFERENCE)) {
+            add('cost-rate', `${interval.touName} cost ${+interval.cost.toFixed(5)} at ${formatLocal(interval.timestamp, zone)} implies ${+(interval.cost / interval.consumption).toFixed(5)}/${interval.unit || 'unit'}, the month's rate is ${+rate.toFixed(5)}`, interval.timestamp);
+          }
+        }
+      }
+      tiers = new Map();
+    };
+
+    for (const interval of intervals) {
+      if (!inGroup(interval) || !(interval.cost > 0)) continue;
+      const intervalMonth = zone.dateKey(interval.timestamp).slice(0, 7);
+      if (intervalMonth !== month) {
+        checkMonth();
+        month = intervalMonth;
+      }
+      const key = `${interval.duration}:${interval.touName}`;
+      if (!tiers.has(key)) tiers.set(key, []);
+      tiers.get(key).push(interval);
+    }
+    checkMonth();
+  }
+}
+
+/**
+ * Runs of consecutive intervals whose feed tier differs from the TOU schedule's
+ */
+function checkTouSchedule(intervals, zone, add, { schedule, touMapping }) {
+  const runs = toRuns(findTierMismatches(intervals, schedule, zone, touMapping), (last, next) =>
+    last.interval.timestamp + last.interval.duration === next.interval.timestamp &&
+    last.tier === next.tier && last.scheduled === next.scheduled);
+
+  for (const { first, last, count } of runs) {
+    const end = last.interval.timestamp + last.interval.duration;
+    add('tou-schedule', `${formatLocal(first.interval.timestamp, zone)} to ${formatLocal(end, zone)} (${plural(count, 'interval')}) is ${TIER_NAMES[first.tier]} in the feed, ${TIER_NAMES[first.scheduled]} on the ${schedule.name} schedule`, first.interval.timestamp);
+  }
+}
+
+/**
+ * Validate parsed usage intervals ([{ timestamp, duration, consumption, cost,
+ * touName, unit, currency }], in time order) in a local time zone (see
+ * lib/localtime.js)
+ *
+ * `options.touSchedule` ({ schedule, touMapping }, see lib/tou-schedule.js)
+ * also audits the delivered intervals' tiers against the schedule.
+ *
+ * Returns { zone, intervals, first, last, errors, warnings, issues }, with
+ * issues sorted by timestamp (feed-wide issues first).
+ */
+function validateIntervals(intervals, zone, options = {}) {
+  const issues = [];
+  const meterOf = usagePointOf(usagePointIds(intervals));
+
+  // Each meter's streams of delivered and returned energy, spooled in order of appearance
+  const meters = new Map();
+  let first = null;
+  let last = null;
+  for (const interval of intervals) {
+    const usagePoint = meterOf(interval);
+    const flow = interval.flow || 'delivered';
+    if (!meters.has(usagePoint)) meters.set(usagePoint, new Map());
+    const flows = meters.get(usagePoint);
+    if (!flows.has(flow)) flows.set(flow, createSpool());
+    flows.get(flow).push(interval);
+    first = first === null ? interval.timestamp : Math.min(first, interval.timestamp);
+    last = last === null ? interval.timestamp : Math.max(last, interval.timestamp);
+  }
+
+  const streams = [];
+  for (const [usagePoint, flows] of meters) {
+    for (const [flow, spool] of flows) {
+      streams.push({ usagePoint, flow, intervals: spool.finish() });
+    }
+  }
+
+  for (const { usagePoint, flow, intervals: streamIntervals } of streams) {
+    const context = [
+      meters.size > 1 ? `Meter ${usagePoint || 'unknown'}: ` : '',
+      flow === 'received' ? 'Return to grid: ' : ''
+    ].join('');
+    const add = (check, message, timestamp) => {
+      const issue = { severity: SEVERITY[check], check, message: context + message };
+      if (timestamp !== undefined) issue.timestamp = timestamp;
+      if (meters.size > 1) issue.usagePoint = usagePoint;
+      if (flow === 'received') issue.flow = flow;
+      issues.push(issue);
+    };
+
+    const usable = filterList(streamIntervals, interval => isSupportedDuration(interval.duration));
+    const hourly = filterList(usable, interval => interval.duration <= 3600);
+    const daily = filterList(usable, interval => interval.duration === 86400);
+
+    checkIntervalLengths(streamIntervals, zone, add);
+    checkDuplicates(usable, zone, add);
+    if (hourly.length > 0) {
+      checkHourlyGaps(hourly, zone, add);
+      checkDayLengths(hourly, zone, add);
+    }
+    if (daily.length > 0) checkDailyGaps(daily, zone, add);
+    checkValues(usable, zone, add);
+    checkCostRates(usable, zone, add);
+    if (options.touSchedule && flow === 'delivered') checkTouSchedule(usable, zone, add, options.touSchedule);
+  }
+
+  issues.sort((a, b) => (a.timestamp === undefined ? -Infinity : a.timestamp) - (b.timestamp === undefined ? -Infinity : b.timestamp));
+
+  return {
+    zone: zone.name,
+    intervals: intervals.length,
+    first,
+    last,
+    errors: issues.filter(issue => issue.severity === 'error').length,
+    warnings: issues.filter(issue => issue.severity === 'warning').length,
+    issues
+  };
+}
+
+/**
+ * Human-readable report, listing at most `limit` issues per check
+ */
+function formatReport(report, limit = 20) {
+  const lines = [];
+  const range = report.first === null
+    ? 'no usage intervals'
+    : `${plural(report.intervals, 'usage interval')}, ${new Date(report.first * 1000).toISOString()} to ${new Date(report.last * 1000).toISOString()}`;
+
+  lines.push(`Validation: ${plural(report.errors, 'error')}, ${plural(report.warnings, 'warning')} (${range})`);
+  lines.push(`  Local time: ${report.zone}`);
+
+  for (const [check, issues] of groupBy(report.issues, issue => issue.check)) {
+    lines.push('');
+    lines.push(`${issues[0].severity === 'error' ? 'Error' : 'Warning'}: ${check} (${issues.length})`);
+    for (const issue of issues.slice(0, limit)) lines.push(`  ${issue.message}`);
+    if (issues.length > limit) lines.push(`  ... and ${issues.length - limit} more`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  validateIntervals,
+  formatReport
+};
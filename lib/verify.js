@@ -0,0 +1,188 @@
+/**
+ * Round-trip verification of generated SQL
+ *
+ * Runs an import file against a throwaway in-memory SQLite database with the
+ * Home Assistant recorder schema, then reads the statistics back and checks
+ * them against the import plan they were generated from (see buildImportPlan
+ * in greenbutton-to-sql.js):
+ *
+ *   sql-error        the file doesn't run (nothing else is checked)
+ *   missing          a statistic of the plan has no statistics_meta row
+ *   unexpected       statistics_meta rows the plan doesn't have
+ *   row-count        a statistic's rows differ from the plan's count
+ *   duplicate        the same start_ts more than once for a statistic
+ *   sum-decrease     a sum going down at a row whose state isn't negative
+ *   sum-step         a sum step that differs from the row's state
+ *   short-term       rows in statistics_short_term (imports only write hourly rows)
+ *   total            final sums that don't match the Summary totals
+ *
+ * MariaDB/MySQL and PostgreSQL files are translated to SQLite first; only
+ * the constructs the generator emits for each dialect are handled. The
+ * database starts empty, so clearing and splicing have nothing to touch and
+ * append mode writes every staged hour.
+ *
+ * Needs the better-sqlite3 package.
+ */
+
+const { requireDriver } = require('./recorder');
+const { DIALECTS } = require('./dialects');
+
+// The recorder's statistics tables. The unique (metadata_id, start_ts) indexes
+// are left out, so a duplicate hour shows up as a duplicate instead of being
+// skipped by INSERT IGNORE.
+const RECORDER_SCHEMA = `
+CREATE TABLE statistics_meta (id INTEGER PRIMARY KEY, statistic_id VARCHAR(255), source VARCHAR(32), unit_of_measurement VARCHAR(255), has_mean BOOLEAN, has_sum BOOLEAN, name VARCHAR(255), mean_type INTEGER NOT NULL DEFAULT 0, unit_class VARCHAR(255));
+CREATE UNIQUE INDEX ix_statistics_meta_statistic_id ON statistics_meta (statistic_id);
+CREATE TABLE statistics (id INTEGER PRIMARY KEY, created_ts FLOAT, metadata_id INTEGER, start_ts FLOAT, mean FLOAT, min FLOAT, max FLOAT, last_reset_ts FLOAT, state FLOAT, sum FLOAT, mean_weight FLOAT);
+CREATE INDEX ix_statistics_statistic_id_start_ts ON statistics (metadata_id, start_ts);
+CREATE TABLE statistics_short_term (id INTEGER PRIMARY KEY, created_ts FLOAT, metadata_id INTEGER, start_ts FLOAT, mean FLOAT, min FLOAT, max FLOAT, last_reset_ts FLOAT, state FLOAT, sum FLOAT, mean_weight FLOAT);
+CREATE INDEX ix_statistics_short_term_statistic_id_start_ts ON statistics_short_term (metadata_id, start_ts);
+`;
+
+// Rewrites from each dialect's SQL to SQLite's
+const TO_SQLITE = {
+  mysql: [
+    [/^INSERT IGNORE INTO /gm, 'INSERT OR IGNORE INTO '],
+    [/^START TRANSACTION;$/gm, 'BEGIN TRANSACTION;'],
+    [/^CREATE TEMPORARY TABLE /gm, 'CREATE TEMP TABLE '],
+    [/^DROP TEMPORARY TABLE /gm, 'DROP TABLE '],
+    // Backslashes are doubled inside MySQL string literals
+    [/\\\\/g, '\\']
+  ],
+  sqlite: [],
+  postgres: [
+    [/\)::numeric/g, ')']
+  ]
+};
+
+// Sums are rounded to 6 decimals, so a step may be off by twice that
+const SUM_TOLERANCE = 0.000002;
+// Summary totals are printed with 2 decimals
+const TOTAL_TOLERANCE = 0.005;
+
+/**
+ * The dialect a generated file was written for, from its "SQL dialect" header line
+ */
+function detectDialect(sql) {
+  const match = /^-- SQL dialect: (.+)$/m.exec(sql);
+  if (!match) return null;
+  return Object.values(DIALECTS).find(dialect => dialect.label === match[1].trim()) || null;
+}
+
+/**
+ * Translate generated SQL of a dialect into SQLite
+ */
+function toSQLite(sql, dialect) {
+  return TO_SQLITE[dialect.name].reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), sql);
+}
+
+/**
+ * Run generated SQL against an empty recorder schema and check the result
+ *
+ * `plan` is the import plan ({ metas, series }) the file should hold;
+ * `totals` lists Summary figures as { label, id, value }, each compared
+ * with the final sum of statistic `id`.
+ *
+ * Returns { dialect, statistics: [{ id, mean, expected, rows }], errors, issues }.
+ */
+function verifySQL(sql, plan, totals, dialect) {
+  const Database = requireDriver('better-sqlite3');
+  const db = new Database(':memory:');
+  const issues = [];
+  const add = (check, message) => issues.push({ severity: 'error', check, message });
+
+  try {
+    db.exec(RECORDER_SCHEMA);
+    try {
+      db.exec(toSQLite(sql, dialect));
+    } catch (err) {
+      add('sql-error', err.message);
+      return { dialect: dialect.name, statistics: [], errors: issues.length, issues };
+    }
+
+    const metaIds = new Map(db.prepare('SELECT id, statistic_id FROM statistics_meta').all()
+      .map(row => [row.statistic_id, row.id]));
+    const expectedIds = new Set(plan.metas.map(meta => meta.id));
+    for (const id of expectedIds) {
+      if (!metaIds.has(id)) add('missing', `${id}: no statistics_meta row`);
+    }
+    for (const id of metaIds.keys()) {
+      if (!expectedIds.has(id)) add('unexpected', `${id}: not part of the import`);
+    }
+
+    const selectRows = db.prepare('SELECT start_ts, state, sum FROM statistics WHERE metadata_id = ? ORDER BY start_ts, id');
+    const statistics = [];
+    const finalSums = new Map();
+    for (const entry of plan.series) {
+      const rows = metaIds.has(entry.id) ? selectRows.all(metaIds.get(entry.id)) : [];
+      statistics.push({ id: entry.id, mean: entry.mean, expected: entry.rows.length, rows: rows.length });
+      if (rows.length !== entry.rows.length) {
+        add('row-count', `${entry.id}: ${rows.length} rows, expected ${entry.rows.length}`);
+      }
+
+      const duplicates = rows.filter((row, i) => i > 0 && row.start_ts === rows[i - 1].start_ts);
+      for (const row of duplicates) {
+        add('duplicate', `${entry.id}: start_ts ${row.start_ts} (${new Date(row.start_ts * 1000).toISOString()}) more than once`);
+      }
+
+      if (entry.mean || rows.length === 0) continue;
+      let previous = 0;
+      for (const row of rows) {
+        const at = `${entry.id} at ${new Date(row.start_ts * 1000).toISOString()}`;
+        if (row.sum < previous - SUM_TOLERANCE && row.state >= 0) {
+          add('sum-decrease', `${at}: sum ${row.sum} after ${previous}`);
+        } else if (Math.abs(row.sum - previous - row.state) > SUM_TOLERANCE) {
+          add('sum-step', `${at}: sum ${row.sum} after ${previous} does not add its state ${row.state}`);
+        }
+        previous = row.sum;
+      }
+      finalSums.set(entry.id, previous);
+    }
+
+    const shortTerm = db.prepare('SELECT COUNT(*) AS count FROM statistics_short_term').get().count;
+    if (shortTerm > 0) add('short-term', `${shortTerm} rows in statistics_short_term`);
+
+    for (const total of totals) {
+      if (!finalSums.has(total.id)) continue;
+      const sum = finalSums.get(total.id);
+      if (Math.abs(sum - total.value) > TOTAL_TOLERANCE) {
+        add('total', `${total.label}: ${total.id} ends at ${sum.toFixed(2)}, the Summary says ${total.value.toFixed(2)}`);
+      }
+    }
+
+    return { dialect: dialect.name, statistics, errors: issues.length, issues };
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Human-readable report, listing at most `limit` issues per check
+ */
+function formatVerification(report, limit = 20) {
+  const lines = [];
+  const rows = report.statistics.reduce((sum, statistic) => sum + statistic.rows, 0);
+  lines.push(`Verification: ${report.errors} ${report.errors === 1 ? 'error' : 'errors'} (${report.statistics.length} statistics, ${rows} rows, ${DIALECTS[report.dialect].label} SQL run on SQLite)`);
+  for (const statistic of report.statistics) {
+    const expected = statistic.rows === statistic.expected ? '' : ` (expected ${statistic.expected})`;
+    lines.push(`  ${statistic.id}: ${statistic.rows} rows${expected}`);
+  }
+
+  const checks = [...new Set(report.issues.map(issue => issue.check))];
+  for (const check of checks) {
+    const issues = report.issues.filter(issue => issue.check === check);
+    lines.push('');
+    lines.push(`Error: ${check} (${issues.length})`);
+    for (const issue of issues.slice(0, limit)) lines.push(`  ${issue.message}`);
+    if (issues.length > limit) lines.push(`  ... and ${issues.length - limit} more`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  detectDialect,
+  toSQLite,
+  verifySQL,
+  formatVerification
+};
@@ -0,0 +1,183 @@
+/**
+ * Output formats besides Home Assistant SQL
+ *
+ * The same prepared statistics (see prepareStatistics in greenbutton-to-sql.js)
+ * can feed other tools: InfluxDB line protocol for Grafana, tidy CSV for
+ * spreadsheets, or JSON. Every format carries the same rows: the hourly
+ * readings by TOU tier followed by the daily totals, then for net-metered
+ * exports the energy returned to the grid (hourly and daily) and the daily
+ * net usage:
+ *
+ *   statistics   - the statistic id prefix of the set (hydroone, one per meter...)
+ *   interval     - hourly or daily
+ *   timestamp    - start of the interval (UTC)
+ *   localTime    - the same instant in the statistics' local time, with its offset
+ *   meter        - UsagePoint id for per-meter statistic sets, else empty
+ *   tier         - the reading's TOU tier (On-Peak...); Total for daily rows
+ *   flow         - delivered (usage), received (returned to the grid) or
+ *                  net (daily delivered minus received)
+ *   consumption  - energy in `unit` (kWh)
+ *   cost         - in `currency`; the compensation for received rows, and
+ *                  cost minus compensation for net rows
+ *
+ * Writers yield their output piece by piece, so large exports stream to
+ * disk like the SQL does.
+ */
+
+const fs = require('fs');
+
+const round = (value) => Math.round(value * 1000000) / 1000000;
+
+/**
+ * Format a timestamp as local ISO 8601 time with its offset (2025-01-02T00:00:00-05:00)
+ */
+function formatLocalTime(zone, timestamp) {
+  const offset = zone.offsetAt(timestamp);
+  const local = new Date((timestamp + offset) * 1000).toISOString().slice(0, 19);
+  const minutes = Math.abs(offset) / 60;
+  const sign = offset < 0 ? '-' : '+';
+  return `${local}${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * The output rows of prepared statistics (or a list of them), in order:
+ * each set's hourly readings and daily totals, then its returned energy
+ * (hourly and daily) and daily net usage
+ */
+function* exportRows(stats) {
+  for (const set of Array.isArray(stats) ? stats : [stats]) {
+    const meters = new Set();
+    for (const reading of set.readings) {
+      if (reading.usagePoint) meters.add(reading.usagePoint);
+    }
+    const meter = meters.size === 1 ? [...meters][0] : '';
+    const row = (interval, flow, reading, tier) => ({
+      statistics: set.profile.prefix,
+      interval,
+      timestamp: new Date(reading.timestamp * 1000).toISOString(),
+      localTime: formatLocalTime(set.zone, reading.timestamp),
+      meter,
+      tier,
+      flow,
+      consumption: round(reading.consumption),
+      unit: set.units.consumption,
+      cost: round(reading.cost),
+      currency: set.units.cost,
+      // Not written out: line protocol's own timestamp
+      unixTime: reading.timestamp
+    });
+
+    for (const reading of set.readings) yield row('hourly', 'delivered', reading, reading.touName);
+    for (const reading of set.dailyReadings) yield row('daily', 'delivered', reading, 'Total');
+    for (const reading of set.returned) yield row('hourly', 'received', reading, reading.touName);
+    for (const reading of set.dailyReturned) yield row('daily', 'received', reading, 'Total');
+    for (const reading of set.netDaily) yield row('daily', 'net', reading, 'Total');
+  }
+}
+
+/**
+ * Escape a line protocol measurement, tag key or tag value
+ */
+function escapeLineProtocol(value) {
+  return String(value).replace(/[,= \\]/g, (char) => `\\${char}`);
+}
+
+/**
+ * InfluxDB line protocol: one point per row, measured as its statistic
+ * prefix, tagged by interval, tier, flow and meter, with nanosecond timestamps
+ */
+function* influxChunks(stats) {
+  for (const row of exportRows(stats)) {
+    const tags = [`interval=${row.interval}`, `tier=${escapeLineProtocol(row.tier)}`, `flow=${row.flow}`];
+    if (row.meter) tags.push(`meter=${escapeLineProtocol(row.meter)}`);
+    yield `${escapeLineProtocol(row.statistics)},${tags.join(',')} consumption=${row.consumption},cost=${row.cost} ${row.unixTime}000000000\n`;
+  }
+}
+
+/**
+ * Quote a CSV field when it needs it
+ */
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CSV_COLUMNS = ['statistics', 'interval', 'timestamp', 'localTime', 'meter', 'tier', 'flow', 'consumption', 'unit', 'cost', 'currency'];
+
+/**
+ * Tidy CSV: a header, then one line per row
+ */
+function* csvChunks(stats) {
+  yield `${CSV_COLUMNS.map(column => column.replace(/[A-Z]/g, char => `_${char.toLowerCase()}`)).join(',')}\n`;
+  for (const row of exportRows(stats)) {
+    yield `${CSV_COLUMNS.map(column => csvField(row[column])).join(',')}\n`;
+  }
+}
+
+/**
+ * JSON: { generated, source, rows: [...] }, one row per line
+ */
+function* jsonChunks(stats, options = {}) {
+  yield `{\n  "generated": ${JSON.stringify(new Date().toISOString())},\n  "source": ${JSON.stringify(options.source || null)},\n  "rows": [`;
+  let first = true;
+  for (const { unixTime, ...row } of exportRows(stats)) {
+    yield `${first ? '' : ','}\n    ${JSON.stringify(row)}`;
+    first = false;
+  }
+  yield '\n  ]\n}\n';
+}
+
+const WRITERS = {
+  influx: {
+    name: 'influx',
+    label: 'InfluxDB line protocol',
+    extension: '.lp',
+    chunks: influxChunks
+  },
+  csv: {
+    name: 'csv',
+    label: 'CSV',
+    extension: '.csv',
+    chunks: csvChunks
+  },
+  json: {
+    name: 'json',
+    label: 'JSON',
+    extension: '.json',
+    chunks: jsonChunks
+  }
+};
+
+/**
+ * Look up an output format by name (influx, csv or json)
+ */
+function getWriter(name) {
+  const writer = WRITERS[name];
+  if (!writer) {
+    throw new Error(`Unknown output format: ${name} (expected sql, ${Object.keys(WRITERS).join(', ')})`);
+  }
+  return writer;
+}
+
+/**
+ * Write prepared statistics (or a list of them) to a file in a writer's format
+ *
+ * `options.source` names the input, for formats that record it.
+ */
+function writeReadings(filePath, stats, writer, options = {}) {
+  const fd = fs.openSync(filePath, 'w');
+  try {
+    for (const chunk of writer.chunks(stats, options)) {
+      fs.writeSync(fd, chunk);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = {
+  WRITERS,
+  getWriter,
+  exportRows,
+  writeReadings
+};
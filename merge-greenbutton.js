@@ -2,241 +2,261 @@
 /**
  * Merge Green Button XML files
  *
- * Merges data from multiple Green Button XML files, keeping unique timestamps
- * and preferring newer file data when timestamps overlap.
+ * Merges any number of Green Button XML exports and CSV downloads (or
+ * directories of them) into one import. Where exports overlap, the one with the newest feed
+ * <updated> time wins; every hour where sources disagree on value, cost or
+ * TOU tier is reported, and the source of every hour is recorded.
  *
  * Usage:
- *   node merge-greenbutton.js <primary.xml> <secondary.xml> [output.sql] [--clear]
+ *   node merge-greenbutton.js <file.xml|file.csv|directory>... [output.sql] [--precedence updated|order]
+ *     [--provenance provenance.json] [--clear] [--backup] [--splice] [--apply <database> | --ha-url <url>]
  *
- * The secondary file provides data for dates NOT present in the primary file.
- * Primary file data takes precedence for overlapping dates.
+ * RetailCustomer feeds among the inputs (or given with --customer) label the
+ * import with the meter, account and service location; the newest one is used.
+ * Exports covering several meters (UsagePoints) are merged per meter and
+ * imported as one set of statistics per meter (--combined adds the total).
+ *
+ * With --precedence order, earlier arguments win instead (the old
+ * primary/secondary behaviour). --format influx|csv|json writes the merged
+ * hourly and daily readings for other tools instead (see lib/writers.js). CSV downloads have no feed time, so with
+ * --precedence updated they give way to any XML export covering the same
+ * hours; their local times are read in --timezone (see lib/usage-csv.js).
+ *
+ *   node merge-greenbutton.js validate <file.xml|file.csv|directory>... [--json]
+ *
+ * validates the merged data without converting it (see lib/validate.js).
+ *
+ * Like greenbutton-to-sql.js, every SQL import or --apply also writes a
+ * rollback script (merged.rollback.sql) that undoes it.
  */
 
 const fs = require('fs');
 const path = require('path');
-const xml2js = require('xml2js');
-
-// Configuration (same as greenbutton-to-sql.js)
-const CONFIG = {
-  costDivisor: 100000,
-  consumptionDivisor: 1000000,
-  timezone: 'America/Toronto',
-  touMapping: {
-    1: 'On-Peak',
-    2: 'Mid-Peak',
-    3: 'Off-Peak'
-  },
-  statisticIds: {
-    onPeak: 'hydroone:on_peak',
-    midPeak: 'hydroone:mid_peak',
-    offPeak: 'hydroone:off_peak',
-    onPeakCost: 'hydroone:on_peak_cost',
-    midPeakCost: 'hydroone:mid_peak_cost',
-    offPeakCost: 'hydroone:off_peak_cost',
-    dailyUsage: 'hydroone:daily_usage',
-    dailyCost: 'hydroone:daily_cost'
-  }
-};
+const { getDialect } = require('./lib/dialects');
+const { mergeSources, summarizeProvenance } = require('./lib/merge');
+const { loadRatePlans } = require('./lib/rate-plans');
+const { getWriter, writeReadings } = require('./lib/writers');
+const {
+  parseUsageFile,
+  getOption,
+  getTouStraddleRule,
+  getTouSchedule,
+  getTouAudit,
+  getBillingCycleDay,
+  prepareStatisticSets,
+  logStatistics,
+  logSummary,
+  validateData,
+  printValidation,
+  logValidation,
+  writeImportSQL,
+  writeRollbackSQL,
+  getRollbackPath,
+  getImportTableName,
+  applyImport,
+  sendToHomeAssistant
+} = require('./greenbutton-to-sql');
+
+// Options that take a value, so their values aren't mistaken for input files
+const VALUE_OPTIONS = ['dialect', 'apply', 'ha-url', 'ha-token', 'timezone', 'profile', 'tou-straddle', 'precedence', 'provenance', 'customer', 'rate-plans', 'tou-schedule', 'billing-cycle-day', 'format', 'output'];
 
 /**
- * Parse Green Button XML and extract interval readings
+ * Expand the command line's input arguments into XML and CSV file paths
+ *
+ * Directories contribute their *.xml and *.csv files in name order.
  */
-async function parseGreenButtonXML(xmlPath) {
-  const xmlContent = fs.readFileSync(xmlPath, 'utf-8');
-  const parser = new xml2js.Parser({
-    tagNameProcessors: [xml2js.processors.stripPrefix],
-    attrNameProcessors: [xml2js.processors.stripPrefix]
-  });
-  const result = await parser.parseStringPromise(xmlContent);
-
-  const readings = [];
-  const entries = result.feed.entry || [];
-
-  for (const entry of entries) {
-    const content = entry.content && entry.content[0];
-    if (!content) continue;
-
-    const intervalBlocks = content.IntervalBlock;
-    if (!intervalBlocks) continue;
-
-    for (const block of intervalBlocks) {
-      const intervalReadings = block.IntervalReading;
-      if (!intervalReadings) continue;
-
-      for (const reading of intervalReadings) {
-        const timePeriod = reading.timePeriod && reading.timePeriod[0];
-        if (!timePeriod) continue;
-
-        const startTimestamp = parseInt(timePeriod.start && timePeriod.start[0]);
-        const duration = parseInt(timePeriod.duration && timePeriod.duration[0]);
-
-        if (duration !== 3600) continue;
-
-        const value = parseInt((reading.value && reading.value[0]) || 0);
-        const cost = parseInt((reading.cost && reading.cost[0]) || 0);
-        const tou = parseInt((reading.tou && reading.tou[0]) || 3);
-
-        if (value === 0 && cost === 0) continue;
+function findInputFiles(args) {
+  const files = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--')) {
+      if (VALUE_OPTIONS.includes(arg.slice(2))) i++;
+      continue;
+    }
 
-        readings.push({
-          timestamp: startTimestamp,
-          consumption: value / CONFIG.consumptionDivisor,
-          cost: cost / CONFIG.costDivisor,
-          tou: tou,
-          touName: CONFIG.touMapping[tou] || 'Off-Peak'
-        });
-      }
+    if (fs.existsSync(arg) && fs.statSync(arg).isDirectory()) {
+      const names = fs.readdirSync(arg).filter(name => /\.(xml|csv)$/i.test(name)).sort();
+      files.push(...names.map(name => path.join(arg, name)));
+    } else if (/\.(xml|csv)$/i.test(arg)) {
+      files.push(arg);
     }
   }
 
-  readings.sort((a, b) => a.timestamp - b.timestamp);
-  return readings;
+  return [...new Set(files)];
 }
 
 /**
- * Merge two arrays of readings, preferring primary data for overlapping timestamps
+ * Format a UNIX timestamp for reports
  */
-function mergeReadings(primary, secondary) {
-  // Create a map of primary timestamps for fast lookup
-  const primaryTimestamps = new Set(primary.map(r => r.timestamp));
-
-  // Get secondary readings that don't exist in primary
-  const uniqueSecondary = secondary.filter(r => !primaryTimestamps.has(r.timestamp));
-
-  // Combine and sort
-  const merged = [...primary, ...uniqueSecondary];
-  merged.sort((a, b) => a.timestamp - b.timestamp);
+function formatTimestamp(timestamp) {
+  return new Date(timestamp * 1000).toISOString();
+}
 
-  return merged;
+/**
+ * Describe a conflict in one line
+ */
+function describeConflict(conflict, units) {
+  const side = (entry) => `${entry.source} (${entry.consumption.toFixed(4)} ${units.consumption}, ${entry.cost.toFixed(4)} ${units.cost}, ${entry.tou})`;
+  const meter = conflict.usagePoint ? ` meter ${conflict.usagePoint}` : '';
+  return `${formatTimestamp(conflict.timestamp)}${meter} ${conflict.series} ${conflict.fields.join('/')}: kept ${side(conflict.kept)}, other ${side(conflict.other)}`;
 }
 
 /**
- * Group hourly readings by TOU tier
+ * SQL header lines describing sources, per-hour provenance and conflicts
  */
-function groupByTOU(readings) {
-  const groups = {
-    onPeak: [],
-    midPeak: [],
-    offPeak: []
-  };
+function buildHeaderLines(merge, precedence, units) {
+  const lines = [`Sources (highest precedence first, by ${precedence === 'order' ? 'argument order' : 'feed <updated> time'}):`];
+  merge.sources.forEach((source, index) => {
+    const updated = source.data.updated ? source.data.updated.toISOString() : 'no <updated>';
+    lines.push(`  ${index + 1}. ${source.name} (updated ${updated}): ${source.data.readings.length} hourly, ${source.data.daily.length} daily, ${source.data.weather.length} temperature`);
+  });
 
-  for (const reading of readings) {
-    switch (reading.tou) {
-      case 1:
-        groups.onPeak.push(reading);
-        break;
-      case 2:
-        groups.midPeak.push(reading);
-        break;
-      case 3:
-      default:
-        groups.offPeak.push(reading);
-        break;
+  const sections = [
+    ['Hours by source', merge.provenance.readings, 'hours'],
+    ['Daily intervals by source', merge.provenance.daily, 'days'],
+    ['Return-to-grid hours by source', merge.provenance.returned, 'hours'],
+    ['Return-to-grid daily intervals by source', merge.provenance.returnedDaily, 'days'],
+    ['Temperature hours by source', merge.provenance.weather, 'hours']
+  ];
+  for (const [title, provenance, noun] of sections) {
+    if (provenance.length === 0) continue;
+    lines.push(`${title}:`);
+    for (const run of summarizeProvenance(provenance)) {
+      lines.push(`  ${formatTimestamp(run.first)} to ${formatTimestamp(run.last)}: ${run.source} (${run.count} ${noun})`);
     }
   }
 
-  return groups;
+  lines.push(`Conflicts (sources disagree on value, cost or TOU): ${merge.conflicts.length}`);
+  for (const conflict of merge.conflicts) {
+    lines.push(`  ${describeConflict(conflict, units)}`);
+  }
+
+  return lines;
 }
 
 /**
- * Aggregate hourly readings into daily totals
+ * Write the optional JSON provenance file
+ *
+ * Written a piece at a time (the per-hour lists are spooled, see
+ * lib/spool.js), in the layout of JSON.stringify(report, null, 2).
  */
-function aggregateToDaily(readings) {
-  const dailyMap = new Map();
-
-  for (const reading of readings) {
-    const date = new Date(reading.timestamp * 1000);
-    const torontoDate = new Date(date.toLocaleString('en-US', { timeZone: 'America/Toronto' }));
-    const dateKey = torontoDate.toISOString().split('T')[0];
-
-    if (!dailyMap.has(dateKey)) {
-      dailyMap.set(dateKey, {
-        date: dateKey,
-        consumption: 0,
-        cost: 0
-      });
+function writeProvenance(filePath, merge, precedence) {
+  const entries = function* (provenance) {
+    for (const entry of provenance) {
+      yield { start: formatTimestamp(entry.timestamp), timestamp: entry.timestamp, source: entry.source };
     }
+  };
 
-    const daily = dailyMap.get(dateKey);
-    daily.consumption += reading.consumption;
-    daily.cost += reading.cost;
-  }
+  const head = {
+    generated: new Date().toISOString(),
+    precedence,
+    sources: merge.sources.map(source => ({
+      file: source.name,
+      updated: source.data.updated ? source.data.updated.toISOString() : null,
+      hourly: source.data.readings.length,
+      daily: source.data.daily.length,
+      temperature: source.data.weather.length
+    }))
+  };
+  const lists = {
+    hourly: entries(merge.provenance.readings),
+    daily: entries(merge.provenance.daily),
+    returnToGrid: entries(merge.provenance.returned),
+    dailyReturnToGrid: entries(merge.provenance.returnedDaily),
+    temperature: entries(merge.provenance.weather),
+    conflicts: merge.conflicts.map(conflict => ({ start: formatTimestamp(conflict.timestamp), ...conflict }))
+  };
 
-  const dailyArray = Array.from(dailyMap.values());
-  dailyArray.sort((a, b) => a.date.localeCompare(b.date));
-
-  return dailyArray.map(d => {
-    const [year, month, day] = d.date.split('-').map(Number);
-    const utcDate = new Date(Date.UTC(year, month - 1, day, 5, 0, 0));
-    return {
-      timestamp: Math.floor(utcDate.getTime() / 1000),
-      consumption: d.consumption,
-      cost: d.cost,
-      date: d.date
-    };
-  });
+  const fd = fs.openSync(filePath, 'w');
+  let buffer = '';
+  const write = (text) => {
+    buffer += text;
+    if (buffer.length >= 64 * 1024) {
+      fs.writeSync(fd, buffer);
+      buffer = '';
+    }
+  };
+  try {
+    write(JSON.stringify(head, null, 2).slice(0, -2));
+    for (const [name, list] of Object.entries(lists)) {
+      write(`,\n  ${JSON.stringify(name)}: [`);
+      let first = true;
+      for (const item of list) {
+        write((first ? '\n' : ',\n') + JSON.stringify(item, null, 2).replace(/^/gm, '    '));
+        first = false;
+      }
+      write(first ? ']' : '\n  ]');
+    }
+    write('\n}\n');
+    fs.writeSync(fd, buffer);
+  } finally {
+    fs.closeSync(fd);
+  }
 }
 
 /**
- * Generate SQL for statistics_meta table
+ * Parse the input files into usage sources and RetailCustomer feeds
+ *
+ * Files with neither interval readings nor customer entries are skipped (and logged).
  */
-function generateMetaSQL() {
-  const metas = [
-    { id: CONFIG.statisticIds.onPeak, name: 'HydroOne On-Peak', unit: 'kWh' },
-    { id: CONFIG.statisticIds.midPeak, name: 'HydroOne Mid-Peak', unit: 'kWh' },
-    { id: CONFIG.statisticIds.offPeak, name: 'HydroOne Off-Peak', unit: 'kWh' },
-    { id: CONFIG.statisticIds.onPeakCost, name: 'HydroOne On-Peak Cost', unit: 'CAD' },
-    { id: CONFIG.statisticIds.midPeakCost, name: 'HydroOne Mid-Peak Cost', unit: 'CAD' },
-    { id: CONFIG.statisticIds.offPeakCost, name: 'HydroOne Off-Peak Cost', unit: 'CAD' },
-    { id: CONFIG.statisticIds.dailyUsage, name: 'HydroOne Daily Usage', unit: 'kWh' },
-    { id: CONFIG.statisticIds.dailyCost, name: 'HydroOne Daily Cost', unit: 'CAD' }
-  ];
-
-  let sql = '-- Statistics Metadata\n';
-  sql += '-- Run these INSERT statements first. If records already exist, they will be ignored.\n\n';
+async function parseSources(inputFiles, options, log = console.log) {
+  const sources = [];
+  const customers = [];
+  for (const file of inputFiles) {
+    if (!fs.existsSync(file)) {
+      console.error(`Error: Input file not found: ${file}`);
+      process.exit(1);
+    }
 
-  for (const meta of metas) {
-    sql += `INSERT IGNORE INTO statistics_meta (statistic_id, source, unit_of_measurement, has_mean, has_sum, name) VALUES ('${meta.id}', 'hydroone', '${meta.unit}', 0, 1, '${meta.name}');\n`;
+    log(`Parsing ${file}`);
+    const data = await parseUsageFile(file, options);
+    if (data.customer) customers.push({ name: file, customer: data.customer, updated: data.updated });
+    if (data.readings.length + data.daily.length + data.returned.length + data.returnedDaily.length + data.weather.length === 0) {
+      log(data.customer ? '  RetailCustomer feed' : '  No interval readings, skipped');
+      continue;
+    }
+    log(`  Found ${data.readings.length} hourly, ${data.daily.length} daily-interval and ${data.weather.length} temperature readings`);
+    if (data.returned.length + data.returnedDaily.length > 0) {
+      log(`  Found ${data.returned.length} hourly and ${data.returnedDaily.length} daily-interval return-to-grid readings`);
+    }
+    sources.push({ name: file, data });
   }
 
-  return sql;
+  // Newest customer feed first
+  customers.sort((a, b) => (b.updated ? b.updated.getTime() : -Infinity) - (a.updated ? a.updated.getTime() : -Infinity));
+  return { sources, customers };
 }
 
 /**
- * Generate SQL INSERT statements for a single statistic
+ * The input files, plus the --customer feed if given
  */
-function generateStatisticSQL(statisticId, readings, valueField) {
-  if (readings.length === 0) return '';
-
-  let sql = `\n-- ${statisticId}\n`;
-  sql += `-- ${readings.length} records\n`;
-
-  let cumulativeSum = 0;
-  const values = [];
-
-  for (const reading of readings) {
-    const value = reading[valueField];
-    cumulativeSum += value;
-
-    const roundedValue = Math.round(value * 1000000) / 1000000;
-    const roundedSum = Math.round(cumulativeSum * 1000000) / 1000000;
-
-    const startTs = typeof reading.timestamp === 'number'
-      ? reading.timestamp
-      : Math.floor(new Date(reading.timestamp).getTime() / 1000);
-    const createdTs = startTs;
+function getInputFiles(args) {
+  const customerPath = getOption(args, 'customer');
+  const files = findInputFiles(args);
+  return customerPath && !files.includes(customerPath) ? [...files, customerPath] : files;
+}
 
-    values.push(`((SELECT id FROM statistics_meta WHERE statistic_id = '${statisticId}'), ${createdTs}, ${startTs}, ${roundedValue}, ${roundedSum})`);
-  }
+/**
+ * The validate command: report problems in the merged data without converting it
+ *
+ * Exits with status 1 when there are errors (warnings alone exit 0).
+ */
+async function validateCommand(args) {
+  const inputFiles = getInputFiles(args);
 
-  const batchSize = 500;
-  for (let i = 0; i < values.length; i += batchSize) {
-    const batch = values.slice(i, i + batchSize);
-    sql += `INSERT IGNORE INTO statistics (metadata_id, created_ts, start_ts, state, sum) VALUES\n`;
-    sql += batch.join(',\n') + ';\n';
+  if (inputFiles.length < 1) {
+    console.error('Usage: node merge-greenbutton.js validate <file.xml|file.csv|directory>... [--json] [--precedence updated|order] [--timezone <zone>] [--tou-audit [--profile <name|file.json>] [--tou-schedule <plan>]]');
+    process.exit(1);
   }
 
-  return sql;
+  const json = args.includes('--json');
+  const { sources } = await parseSources(inputFiles, { touStraddleRule: getTouStraddleRule(args), timezone: getOption(args, 'timezone') }, json ? () => {} : console.log);
+  const merge = mergeSources(sources, { precedence: getOption(args, 'precedence') || 'updated' });
+  const report = validateData(merge.data, getOption(args, 'timezone'), getTouAudit(args));
+  if (!json) console.log('');
+  printValidation(report, { json, sources: merge.sources.map(source => source.name) });
+  process.exit(report.errors > 0 ? 1 : 0);
 }
 
 /**
@@ -245,117 +265,215 @@ function generateStatisticSQL(statisticId, readings, valueField) {
 async function main() {
   const args = process.argv.slice(2);
 
-  if (args.length < 2) {
-    console.error('Usage: node merge-greenbutton.js <primary.xml> <secondary.xml> [output.sql] [--clear]');
+  if (args[0] === 'validate') return validateCommand(args.slice(1));
+
+  const inputFiles = getInputFiles(args);
+
+  if (inputFiles.length < 1) {
+    console.error('Usage: node merge-greenbutton.js <file.xml|file.csv|directory>... [output.sql] [--precedence updated|order] [--provenance provenance.json] [--clear | --append] [--backup] [--splice] [--dry-run] [--dialect mysql|sqlite|postgres] [--apply <database> | --ha-url <url>] [--timezone <zone>] [--profile <name|file.json>] [--customer <feed.xml>] [--show-personal] [--rate-plans <plan,...>] [--tou-schedule <plan|none>] [--billing-cycle-day <day>] [--combined] [--tou-straddle=split|majority] [--format sql|influx|csv|json] [--output <file>]');
     console.error('');
-    console.error('Merges data from secondary.xml into primary.xml for dates not in primary.');
-    console.error('Primary file data takes precedence for overlapping dates.');
+    console.error('Merges any number of exports (directories are expanded to their .xml and .csv files).');
+    console.error('Overlapping hours come from the export with the newest feed <updated> time,');
+    console.error('or from the earliest argument with --precedence order.');
+    console.error('  --provenance    Also write which file every hour came from, and all conflicts, as JSON');
+    console.error('RetailCustomer feeds among the inputs label the import (names and addresses masked');
+    console.error('unless --show-personal).');
+    console.error('Several meters (UsagePoints) get one set of statistics each; --combined also imports their total.');
+    console.error('--rate-plans adds what every hour would cost on other plans (see README).');
+    console.error('Billing periods come from UsageSummary entries, or --billing-cycle-day for exports without them.');
+    console.error('--tou-schedule places readings without a TOU tier by time of day (default: the profile\'s schedule).');
+    console.error('--format influx, csv or json writes the hourly and daily readings for other tools (to merged.lp,');
+    console.error('merged.csv or merged.json unless --output is given).');
+    console.error('--clear replaces existing rows in the hours the merged files cover (gaps between them are kept),');
+    console.error('saving them to greenbutton_backup_* tables first (--backup does so without --clear). A rollback');
+    console.error('script (merged.rollback.sql) undoes the import.');
+    console.error('--splice (with --clear) rebases the sums of existing rows after the merged range onto it;');
+    console.error('--dry-run (with --apply) prints the offsets and rolls back.');
+    console.error('');
+    console.error('node merge-greenbutton.js validate <file.xml|file.csv|directory>... [--json] [--tou-audit] checks the merged data only.');
     process.exit(1);
   }
 
-  const xmlFiles = args.filter(a => !a.startsWith('--') && a.endsWith('.xml'));
-  const primaryPath = xmlFiles[0];
-  const secondaryPath = xmlFiles[1];
-  const outputPath = args.find(a => !a.startsWith('--') && a.endsWith('.sql')) || 'merged.sql';
+  const applyTarget = getOption(args, 'apply');
+  const haUrl = getOption(args, 'ha-url');
+  const haToken = getOption(args, 'ha-token') || process.env.HA_TOKEN;
+  const format = getOption(args, 'format') || 'sql';
+  const writer = format === 'sql' ? null : getWriter(format);
+  const explicitOutput = getOption(args, 'output') || args.find(a => !a.startsWith('--') && a.endsWith('.sql'));
+  const outputPath = explicitOutput || `merged${writer ? writer.extension : '.sql'}`;
+  const provenancePath = getOption(args, 'provenance');
+  const precedence = getOption(args, 'precedence') || 'updated';
   const clearExisting = args.includes('--clear');
+  const append = args.includes('--append');
+  const backup = args.includes('--backup');
+  const splice = args.includes('--splice');
+  const dryRun = args.includes('--dry-run');
+  const touStraddleRule = getTouStraddleRule(args);
+  const timezone = getOption(args, 'timezone');
+  const showPersonal = args.includes('--show-personal');
+  const combined = args.includes('--combined');
+  const ratePlans = getOption(args, 'rate-plans') ? loadRatePlans(getOption(args, 'rate-plans')) : [];
+  const touSchedule = getTouSchedule(args);
+  const billingCycleDay = getBillingCycleDay(args);
+  const dialect = getDialect(getOption(args, 'dialect') || 'mysql');
+
+  if (clearExisting && append) {
+    console.error('Error: --clear and --append cannot be combined');
+    process.exit(1);
+  }
 
-  if (!fs.existsSync(primaryPath)) {
-    console.error(`Error: Primary file not found: ${primaryPath}`);
+  if (applyTarget && haUrl) {
+    console.error('Error: --apply and --ha-url cannot be combined');
     process.exit(1);
   }
-  if (!fs.existsSync(secondaryPath)) {
-    console.error(`Error: Secondary file not found: ${secondaryPath}`);
+
+  if (backup && (haUrl || (writer && !applyTarget))) {
+    console.error('Error: --backup needs SQL output or --apply (Home Assistant\'s API and the other formats cannot copy rows)');
     process.exit(1);
   }
 
-  console.log(`Parsing primary file: ${primaryPath}`);
-  const primaryReadings = await parseGreenButtonXML(primaryPath);
-  console.log(`  Found ${primaryReadings.length} hourly readings`);
+  if (splice && (haUrl || (writer && !applyTarget))) {
+    console.error('Error: --splice needs SQL output or --apply (it updates existing rows in the database)');
+    process.exit(1);
+  }
 
-  console.log(`Parsing secondary file: ${secondaryPath}`);
-  const secondaryReadings = await parseGreenButtonXML(secondaryPath);
-  console.log(`  Found ${secondaryReadings.length} hourly readings`);
+  if (splice && !clearExisting) {
+    console.error('Error: --splice needs --clear (existing rows inside the imported range would keep their own sums)');
+    process.exit(1);
+  }
 
-  console.log('Merging readings...');
-  const mergedReadings = mergeReadings(primaryReadings, secondaryReadings);
-  console.log(`  Merged total: ${mergedReadings.length} hourly readings`);
-  console.log(`  Added from secondary: ${mergedReadings.length - primaryReadings.length} readings`);
+  if (dryRun && !applyTarget) {
+    console.error('Error: --dry-run needs --apply <database> (the offsets come from the existing rows)');
+    process.exit(1);
+  }
 
-  if (mergedReadings.length === 0) {
-    console.error('Error: No valid readings found');
+  if (inputFiles.some(file => path.resolve(file) === path.resolve(outputPath))) {
+    console.error(`Error: The output ${outputPath} is also an input; choose another with --output`);
     process.exit(1);
   }
 
-  const firstDate = new Date(mergedReadings[0].timestamp * 1000);
-  const lastDate = new Date(mergedReadings[mergedReadings.length - 1].timestamp * 1000);
-  console.log(`Date range: ${firstDate.toISOString().split('T')[0]} to ${lastDate.toISOString().split('T')[0]}`);
-
-  const touGroups = groupByTOU(mergedReadings);
-  console.log(`  On-Peak:  ${touGroups.onPeak.length} readings`);
-  console.log(`  Mid-Peak: ${touGroups.midPeak.length} readings`);
-  console.log(`  Off-Peak: ${touGroups.offPeak.length} readings`);
-
-  const dailyReadings = aggregateToDaily(mergedReadings);
-  console.log(`Aggregated to ${dailyReadings.length} daily records`);
-
-  // Generate SQL
-  let sql = '-- Green Button to Home Assistant Statistics Import (MERGED)\n';
-  sql += `-- Generated: ${new Date().toISOString()}\n`;
-  sql += `-- Primary source: ${path.basename(primaryPath)}\n`;
-  sql += `-- Secondary source: ${path.basename(secondaryPath)}\n`;
-  sql += `-- Date range: ${firstDate.toISOString().split('T')[0]} to ${lastDate.toISOString().split('T')[0]}\n`;
-  sql += `-- Total hourly readings: ${mergedReadings.length}\n`;
-  sql += `-- Total daily records: ${dailyReadings.length}\n`;
-  sql += '\n';
-
-  if (clearExisting) {
-    sql += '-- ==========================================\n';
-    sql += '-- CLEARING EXISTING DATA\n';
-    sql += '-- ==========================================\n';
-    sql += 'DELETE FROM statistics WHERE metadata_id IN (SELECT id FROM statistics_meta WHERE statistic_id LIKE \'hydroone:%\');\n';
-    sql += 'DELETE FROM statistics_short_term WHERE metadata_id IN (SELECT id FROM statistics_meta WHERE statistic_id LIKE \'hydroone:%\');\n';
-    sql += '\n';
-    console.log('Including DELETE statements to clear existing data');
-  } else {
-    sql += '-- NOTE: Using INSERT IGNORE to skip duplicate records.\n';
-    sql += '-- To clear existing data first, run with --clear flag or execute:\n';
-    sql += '-- DELETE FROM statistics WHERE metadata_id IN (SELECT id FROM statistics_meta WHERE statistic_id LIKE \'hydroone:%\');\n';
-    sql += '-- DELETE FROM statistics_short_term WHERE metadata_id IN (SELECT id FROM statistics_meta WHERE statistic_id LIKE \'hydroone:%\');\n';
-    sql += '\n';
+  const { sources, customers } = await parseSources(inputFiles, { touStraddleRule, timezone });
+
+  console.log(`Merging ${sources.length} source(s)...`);
+  const merge = mergeSources(sources, { precedence });
+  const merged = merge.data;
+  console.log(`  Merged total: ${merged.readings.length} hourly readings`);
+  if (merged.daily.length > 0) console.log(`  Merged daily-interval: ${merged.daily.length} readings`);
+  if (merged.returned.length + merged.returnedDaily.length > 0) {
+    console.log(`  Merged return to grid: ${merged.returned.length} hourly, ${merged.returnedDaily.length} daily-interval readings`);
+  }
+  if (merged.weather.length > 0) console.log(`  Merged temperature: ${merged.weather.length} hourly readings`);
+  for (const run of summarizeProvenance(merge.provenance.readings)) {
+    console.log(`  ${formatTimestamp(run.first)} to ${formatTimestamp(run.last)}: ${run.source} (${run.count} hours)`);
+  }
+  logValidation(validateData(merged, timezone), 'node merge-greenbutton.js validate <the same inputs>');
+
+  const customer = customers[0];
+  if (customer) console.log(`Customer details from ${customer.name}:`);
+  const { sets: stats, headerLines: customerLines } = prepareStatisticSets(merged, {
+    timezone,
+    profile: getOption(args, 'profile'),
+    customer: customer && customer.customer,
+    showPersonal,
+    combined,
+    ratePlans,
+    touSchedule,
+    billingCycleDay
+  });
+  for (const line of customerLines) console.log(`  ${line}`);
+  if (stats.length === 0) {
+    console.error('Error: No valid readings found');
+    process.exit(1);
   }
+  if (stats.length > 1) console.log(`${merged.usagePoints.length} UsagePoints: importing ${stats.length} statistic sets`);
+  logStatistics(stats);
 
-  sql += generateMetaSQL();
-  sql += '\n';
+  if (merge.conflicts.length > 0) {
+    console.warn(`Warning: ${merge.conflicts.length} timestamp(s) where sources disagree (kept the higher-precedence source):`);
+    for (const conflict of merge.conflicts.slice(0, 10)) {
+      console.warn(`  ${describeConflict(conflict, stats[0].units)}`);
+    }
+    if (merge.conflicts.length > 10) console.warn(`  ... all ${merge.conflicts.length} are listed in the SQL header${provenancePath ? ' and provenance file' : ''}`);
+  }
 
-  sql += '\n-- ==========================================\n';
-  sql += '-- HOURLY TOU STATISTICS\n';
-  sql += '-- ==========================================\n';
+  if (provenancePath) {
+    writeProvenance(provenancePath, merge, precedence);
+    console.log(`Provenance written to: ${provenancePath}`);
+  }
 
-  sql += generateStatisticSQL(CONFIG.statisticIds.onPeak, touGroups.onPeak, 'consumption');
-  sql += generateStatisticSQL(CONFIG.statisticIds.midPeak, touGroups.midPeak, 'consumption');
-  sql += generateStatisticSQL(CONFIG.statisticIds.offPeak, touGroups.offPeak, 'consumption');
-  sql += generateStatisticSQL(CONFIG.statisticIds.onPeakCost, touGroups.onPeak, 'cost');
-  sql += generateStatisticSQL(CONFIG.statisticIds.midPeakCost, touGroups.midPeak, 'cost');
-  sql += generateStatisticSQL(CONFIG.statisticIds.offPeakCost, touGroups.offPeak, 'cost');
+  if (append) console.log('Append mode: sums continue from the last existing row of each statistic');
+
+  const importedAt = Math.floor(Date.now() / 1000);
+  // Rows an import deletes (--clear, or the periods append mode reopens) are always kept for the rollback
+  const backupTable = backup || clearExisting || append ? getImportTableName('backup', importedAt) : null;
+  const spliceTable = splice ? getImportTableName('splice', importedAt) : null;
+  const importOptions = { clearExisting, append, importedAt, backupTable, spliceTable };
+  const rollbackPath = getRollbackPath(writer ? 'merged.sql' : outputPath);
+  const rollbackOptions = {
+    title: `Green Button merged import of ${sources.length} source(s)`,
+    ...importOptions
+  };
 
-  sql += '\n-- ==========================================\n';
-  sql += '-- DAILY AGGREGATE STATISTICS\n';
-  sql += '-- ==========================================\n';
+  // Direct apply and WebSocket import write no SQL file unless an output path was given
+  if (applyTarget || haUrl) {
+    if (applyTarget) {
+      const applied = await applyImport(applyTarget, stats, { ...importOptions, splice, dryRun });
+      if (dryRun) {
+        logSummary(stats);
+        return;
+      }
+      writeRollbackSQL(rollbackPath, stats, { ...rollbackOptions, dialect: applied.dialect, splices: applied.splices });
+      console.log(`Rollback SQL written to: ${rollbackPath}`);
+    } else {
+      await sendToHomeAssistant(haUrl, haToken, stats, { clearExisting, append });
+    }
+    if (!explicitOutput) {
+      logSummary(stats);
+      return;
+    }
+  }
 
-  sql += generateStatisticSQL(CONFIG.statisticIds.dailyUsage, dailyReadings, 'consumption');
-  sql += generateStatisticSQL(CONFIG.statisticIds.dailyCost, dailyReadings, 'cost');
+  if (writer) {
+    writeReadings(outputPath, stats, writer, { source: sources.map(source => path.basename(source.name)).join(', ') });
+    console.log(`\n${writer.label} written to: ${outputPath}`);
+    logSummary(stats);
+    return;
+  }
 
-  fs.writeFileSync(outputPath, sql);
-  console.log(`\nSQL written to: ${outputPath}`);
+  writeImportSQL(outputPath, stats, {
+    title: 'Green Button to Home Assistant Statistics Import (MERGED)',
+    headerLines: [
+      ...(customer ? [`Customer feed: ${path.basename(customer.name)}`, ...customerLines] : []),
+      ...buildHeaderLines(merge, precedence, stats[0].units)
+    ],
+    ...importOptions,
+    dialect
+  });
+  if (backupTable) {
+    console.log(append
+      ? `Including a backup of the month and billing-period rows append mode replaces (${backupTable})`
+      : `Including a backup of existing rows in the imported range (${backupTable})`);
+  }
+  if (spliceTable) console.log(`Including a splice of the existing rows after the import (offsets kept in ${spliceTable})`);
+  if (clearExisting) console.log('Including DELETE statements to clear existing data in the imported range');
+  console.log(`\nSQL written to: ${outputPath} (${dialect.label})`);
+  if (!applyTarget) {
+    writeRollbackSQL(rollbackPath, stats, { ...rollbackOptions, dialect });
+    console.log(`Rollback SQL written to: ${rollbackPath}`);
+  }
 
-  const totalConsumption = mergedReadings.reduce((sum, r) => sum + r.consumption, 0);
-  const totalCost = mergedReadings.reduce((sum, r) => sum + r.cost, 0);
-  console.log(`\nSummary:`);
-  console.log(`  Total consumption: ${totalConsumption.toFixed(2)} kWh`);
-  console.log(`  Total cost: $${totalCost.toFixed(2)}`);
+  logSummary(stats);
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+module.exports = {
+  parseSources,
+  buildHeaderLines,
+  describeConflict
+};
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
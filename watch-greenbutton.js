@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+/**
+ * Watch a directory for new Green Button exports
+ *
+ * Keeps running and checks the import directory for new XML exports and CSV
+ * downloads. Each new file is merged with every file imported before (as
+ * merge-greenbutton.js does) and the merged statistics are written to a new
+ * SQL file in the export directory, or applied to the recorder database.
+ *
+ * A ledger in the export directory (see lib/ledger.js) records every file
+ * seen with its hash, date range and row counts. Files already in it are not
+ * processed again, and re-downloads are skipped: exact copies by their hash,
+ * exports whose readings all came from earlier files by comparing readings.
+ *
+ * Usage:
+ *   node watch-greenbutton.js [import-dir] [export-dir] [--once] [--interval <seconds>]
+ *     [--apply <database>] [--dialect mysql|sqlite|postgres] [--clear] [--splice]
+ *
+ * Every export covers the whole merged history and is appended (as with
+ * --append): only hours after the rows already in the database are written,
+ * with sums continuing from them. With --clear it replaces the rows of the
+ * runs of hours the merged files cover instead, leaving rows in the gaps
+ * between them (live data for days no export has) alone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDialect } = require('./lib/dialects');
+const { mergeSources, compareWithSources } = require('./lib/merge');
+const { loadRatePlans } = require('./lib/rate-plans');
+const { loadLedger, saveLedger, hashFile, findEntry, describeData } = require('./lib/ledger');
+const { clearSpools } = require('./lib/spool');
+const {
+  getOption,
+  getTouStraddleRule,
+  getTouSchedule,
+  getBillingCycleDay,
+  prepareStatisticSets,
+  logStatistics,
+  logSummary,
+  writeImportSQL,
+  writeRollbackSQL,
+  getRollbackPath,
+  getImportStamp,
+  getImportTableName,
+  applyImport
+} = require('./greenbutton-to-sql');
+const { parseSources, buildHeaderLines } = require('./merge-greenbutton');
+
+// Options that take a value, so their values aren't mistaken for directories
+const VALUE_OPTIONS = ['interval', 'ledger', 'apply', 'dialect', 'timezone', 'profile', 'tou-straddle', 'precedence', 'rate-plans', 'tou-schedule', 'billing-cycle-day'];
+
+// Files changed more recently than this may still be downloading; they wait for the next check
+const SETTLE_SECONDS = 5;
+
+/**
+ * The import and export directories given on the command line (default import/ and export/)
+ */
+function getDirectories(args) {
+  const positional = args.filter((arg, i) => !arg.startsWith('--') && !(args[i - 1] && VALUE_OPTIONS.includes(args[i - 1].slice(2))));
+  return { importDir: positional[0] || 'import', exportDir: positional[1] || 'export' };
+}
+
+/**
+ * Export and CSV files in the import directory that are done being written, in name order
+ */
+function listSettledFiles(importDir) {
+  const now = Date.now();
+  return fs.readdirSync(importDir)
+    .filter(name => /\.(xml|csv)$/i.test(name))
+    .sort()
+    .filter(name => {
+      const stat = fs.statSync(path.join(importDir, name));
+      return stat.isFile() && now - stat.mtimeMs >= SETTLE_SECONDS * 1000;
+    });
+}
+
+/**
+ * Files of the ledger whose data goes into every export: imported usage and
+ * customer feeds still in the import directory with the same contents
+ */
+function ledgerInputs(ledger, importDir) {
+  const inputs = [];
+  for (const entry of ledger.files.filter(e => e.status === 'imported' || e.status === 'customer')) {
+    const file = path.join(importDir, entry.file);
+    if (!fs.existsSync(file)) {
+      console.warn(`Warning: ${entry.file} is in the ledger but no longer in ${importDir}; its readings are left out`);
+    } else if (hashFile(file) !== entry.hash) {
+      console.warn(`Warning: ${entry.file} changed since it was imported; its old readings are left out`);
+    } else {
+      inputs.push(file);
+    }
+  }
+  return inputs;
+}
+
+/**
+ * Format a ledger entry's date range and row counts for the log
+ */
+function describeEntry(entry) {
+  const counts = Object.entries(entry.rows).filter(([, count]) => count > 0).map(([series, count]) => `${count} ${series}`);
+  return `${entry.first ? entry.first.slice(0, 10) : '?'} to ${entry.last ? entry.last.slice(0, 10) : '?'}, ${counts.join(', ') || 'no readings'}`;
+}
+
+/**
+ * Check the import directory once: record new files in the ledger and, when
+ * any of them brings new readings, export the merged statistics
+ *
+ * Returns the number of newly imported files.
+ */
+async function checkForNewFiles(settings) {
+  const { importDir, ledgerPath, ledger } = settings;
+  const quiet = () => {};
+
+  const pending = [];
+  const copies = [];
+  const recordDuplicate = (name, hash, known) => {
+    console.log(`${name}: same contents as ${known.file}, skipped`);
+    ledger.files.push({ file: name, hash, status: 'duplicate', duplicateOf: known.file, processedAt: new Date().toISOString(), first: known.first, last: known.last, rows: known.rows });
+  };
+  for (const name of listSettledFiles(importDir)) {
+    const hash = hashFile(path.join(importDir, name));
+    const known = findEntry(ledger, name, hash);
+    if (known && known.file === name) continue;
+    if (known) {
+      recordDuplicate(name, hash, known);
+      saveLedger(ledgerPath, ledger);
+      continue;
+    }
+    // Exact copies of a file arriving in the same check are recorded once that file is
+    const original = pending.find(file => file.hash === hash);
+    if (original) copies.push({ name, hash, original: original.name });
+    else pending.push({ name, hash });
+  }
+  if (pending.length === 0) return 0;
+  const recordCopies = (entry) => {
+    if (entry.status === 'error') return;
+    for (const copy of copies.filter(file => file.original === entry.file)) recordDuplicate(copy.name, copy.hash, entry);
+  };
+
+  // Everything imported so far, which the new files are merged with
+  const parseOptions = { touStraddleRule: settings.touStraddleRule, timezone: settings.timezone };
+  const inputs = ledgerInputs(ledger, importDir);
+  const { sources } = await parseSources(inputs, parseOptions, quiet);
+  const imported = [];
+
+  for (const { name, hash } of pending) {
+    const file = path.join(importDir, name);
+    const entry = { file: name, hash, status: null, processedAt: new Date().toISOString() };
+    let data = null;
+    try {
+      const parsed = await parseSources([file], parseOptions, quiet);
+      data = parsed.sources[0] || null;
+      if (!data) entry.status = parsed.customers.length > 0 ? 'customer' : 'empty';
+    } catch (err) {
+      entry.status = 'error';
+      entry.error = err.message;
+    }
+
+    if (data) {
+      Object.assign(entry, describeData(data.data));
+      const { added, conflicts } = compareWithSources(sources, data);
+      const newRows = Object.values(added).reduce((sum, count) => sum + count, 0);
+      if (newRows === 0 && conflicts.length === 0) {
+        entry.status = 'covered';
+        // The earlier files whose range overlaps this one's
+        const overlapping = sources.filter(source => {
+          const range = describeData(source.data);
+          return range.first <= entry.last && range.last >= entry.first;
+        });
+        entry.duplicateOf = [...new Set(overlapping.map(source => path.basename(source.name)))].join(', ');
+      } else {
+        entry.status = 'imported';
+        entry.added = added;
+        entry.conflicts = conflicts.length;
+        sources.push(data);
+        imported.push(entry);
+      }
+    }
+
+    if (entry.status === 'error') console.log(`${name}: could not be read (${entry.error})`);
+    else if (entry.status === 'covered') console.log(`${name}: ${describeEntry(entry)}, all already imported from ${entry.duplicateOf}; skipped`);
+    else if (entry.status === 'imported') console.log(`${name}: ${describeEntry(entry)}, ${entry.added.readings} new hours${entry.conflicts > 0 ? `, ${entry.conflicts} hours differing from earlier files` : ''}`);
+    else console.log(`${name}: ${entry.status === 'customer' ? 'RetailCustomer feed, used to label the import' : 'no readings, skipped'}`);
+
+    // Imported files are recorded once their export has succeeded, so a failed one is retried
+    if (entry.status === 'customer') inputs.push(file);
+    if (entry.status !== 'imported') {
+      ledger.files.push(entry);
+      recordCopies(entry);
+      saveLedger(ledgerPath, ledger);
+    }
+  }
+  if (imported.length === 0) return 0;
+
+  const output = await exportMerged(settings, [...inputs, ...imported.map(entry => path.join(importDir, entry.file))]);
+  for (const entry of imported) {
+    ledger.files.push({ ...entry, output });
+    recordCopies(entry);
+  }
+  saveLedger(ledgerPath, ledger);
+  return imported.length;
+}
+
+/**
+ * Merge the given files and write the statistics to a new SQL file in the
+ * export directory, or apply them; returns where they went
+ */
+async function exportMerged(settings, files) {
+  const { exportDir, dialect, applyTarget, clear } = settings;
+  console.log(`\nMerging ${files.length} file(s)...`);
+  const { sources, customers } = await parseSources(files, { touStraddleRule: settings.touStraddleRule, timezone: settings.timezone }, () => {});
+  const merge = mergeSources(sources, { precedence: settings.precedence });
+  const customer = customers[0];
+  const { sets: stats, headerLines: customerLines } = prepareStatisticSets(merge.data, {
+    timezone: settings.timezone,
+    profile: settings.profile,
+    customer: customer && customer.customer,
+    showPersonal: settings.showPersonal,
+    combined: settings.combined,
+    ratePlans: settings.ratePlans,
+    touSchedule: settings.touSchedule,
+    billingCycleDay: settings.billingCycleDay
+  });
+  if (stats.length === 0) throw new Error('No valid readings found');
+  logStatistics(stats);
+
+  const importedAt = Math.floor(Date.now() / 1000);
+  const outputPath = path.join(exportDir, `greenbutton-${getImportStamp(importedAt)}.sql`);
+  const importOptions = {
+    clearExisting: clear,
+    append: !clear,
+    importedAt,
+    // Both modes can delete rows (cleared runs, reopened periods), which the rollback puts back
+    backupTable: getImportTableName('backup', importedAt),
+    spliceTable: settings.splice ? getImportTableName('splice', importedAt) : null
+  };
+  const rollbackOptions = {
+    title: `Green Button watch import of ${sources.length} source(s)`,
+    ...importOptions
+  };
+  const rollbackPath = getRollbackPath(outputPath);
+
+  if (applyTarget) {
+    const applied = await applyImport(applyTarget, stats, { ...importOptions, splice: settings.splice });
+    writeRollbackSQL(rollbackPath, stats, { ...rollbackOptions, dialect: applied.dialect, splices: applied.splices });
+    console.log(`Rollback SQL written to: ${rollbackPath}`);
+    logSummary(stats);
+    return `${applied.dialect.label} recorder database (--apply)`;
+  }
+
+  writeImportSQL(outputPath, stats, {
+    title: 'Green Button to Home Assistant Statistics Import (WATCH)',
+    headerLines: [
+      ...(customer ? [`Customer feed: ${path.basename(customer.name)}`, ...customerLines] : []),
+      ...buildHeaderLines(merge, settings.precedence, stats[0].units)
+    ],
+    ...importOptions,
+    dialect
+  });
+  writeRollbackSQL(rollbackPath, stats, { ...rollbackOptions, dialect });
+  console.log(`SQL written to: ${outputPath} (${dialect.label}); rollback: ${rollbackPath}`);
+  logSummary(stats);
+  return path.basename(outputPath);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help')) {
+    console.error('Usage: node watch-greenbutton.js [import-dir] [export-dir] [--once] [--interval <seconds>] [--ledger <file>] [--apply <database>] [--dialect mysql|sqlite|postgres] [--clear] [--splice] [--precedence updated|order] [--timezone <zone>] [--profile <name|file.json>] [--show-personal] [--rate-plans <plan,...>] [--tou-schedule <plan|none>] [--billing-cycle-day <day>] [--combined] [--tou-straddle=split|majority]');
+    console.error('');
+    console.error('Checks import-dir (default import/) for new .xml and .csv files, merges each new one with');
+    console.error('the files imported before and writes the statistics to a new SQL file in export-dir');
+    console.error('(default export/), or applies them with --apply. Each export appends the hours after the');
+    console.error('existing rows, as with --append, and comes with a rollback script.');
+    console.error('  --clear         Replace the existing rows in the hours the merged files cover instead');
+    console.error('  --once          Check once and exit instead of watching');
+    console.error('  --interval      Seconds between checks (default 30)');
+    console.error('  --ledger        Ledger of processed files (default: <export-dir>/greenbutton-ledger.json)');
+    console.error('Re-downloads are skipped: files with the same contents as one in the ledger, and exports');
+    console.error('whose readings all came from earlier files.');
+    process.exit(1);
+  }
+
+  const { importDir, exportDir } = getDirectories(args);
+  const interval = Number(getOption(args, 'interval') || 30);
+  const applyTarget = getOption(args, 'apply');
+  const clear = args.includes('--clear');
+  const splice = args.includes('--splice');
+
+  if (splice && !clear) {
+    console.error('Error: --splice needs --clear (appended hours come after all existing rows)');
+    process.exit(1);
+  }
+
+  if (!Number.isFinite(interval) || interval <= 0) {
+    console.error(`Error: --interval must be a positive number of seconds (got ${getOption(args, 'interval')})`);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(importDir) || !fs.statSync(importDir).isDirectory()) {
+    console.error(`Error: Import directory not found: ${importDir}`);
+    process.exit(1);
+  }
+  fs.mkdirSync(exportDir, { recursive: true });
+
+  const ledgerPath = getOption(args, 'ledger') || path.join(exportDir, 'greenbutton-ledger.json');
+  const settings = {
+    importDir,
+    exportDir,
+    ledgerPath,
+    ledger: loadLedger(ledgerPath),
+    applyTarget,
+    dialect: getDialect(getOption(args, 'dialect') || 'mysql'),
+    clear,
+    splice,
+    precedence: getOption(args, 'precedence') || 'updated',
+    touStraddleRule: getTouStraddleRule(args),
+    timezone: getOption(args, 'timezone'),
+    profile: getOption(args, 'profile'),
+    showPersonal: args.includes('--show-personal'),
+    combined: args.includes('--combined'),
+    ratePlans: getOption(args, 'rate-plans') ? loadRatePlans(getOption(args, 'rate-plans')) : [],
+    touSchedule: getTouSchedule(args),
+    billingCycleDay: getBillingCycleDay(args)
+  };
+
+  if (args.includes('--once')) {
+    await checkForNewFiles(settings);
+    return;
+  }
+
+  let stopping = false;
+  let wake = null;
+  const stop = () => {
+    stopping = true;
+    if (wake) wake();
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  console.log(`Watching ${importDir} every ${interval} s (ledger: ${ledgerPath}; Ctrl+C to stop)`);
+  while (!stopping) {
+    try {
+      await checkForNewFiles(settings);
+    } catch (err) {
+      // Keep watching: a database that is down now may be back by the next check
+      console.error(`Error: ${err.message}`);
+    } finally {
+      // Nothing read in one check is needed by the next
+      clearSpools();
+    }
+    if (stopping) break;
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, interval * 1000);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+  console.log('Stopped watching');
+}
+
+main().catch(err => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});